@@ -1,35 +1,30 @@
 // Vercel serverless - Find best copy trading candidates
-// Filters: 15+ trades, 70%+ win rate, 30%+ efficiency
+// Filters come from the scoring profile (default: 15+ trades, 70%+ win rate, 30%+ efficiency)
 
-export const config = { runtime: 'edge' };
+import { normalizeAll, normalizeLeaderboardEntry, normalizePosition } from '../src/models.js';
+import { summarizeClosedPositions, isCopyCandidate } from '../src/scoring.js';
+import { BASE_URL, fetchJson, fetchClosedPositions, mapInBatches, parseQuery } from '../src/serverless.js';
 
-const BASE_URL = 'https://data-api.polymarket.com';
+export const config = { runtime: 'edge' };
 
 async function fetchLeaderboard(timePeriod, limit = 100) {
   const params = new URLSearchParams({
     timePeriod, orderBy: 'PNL', limit: String(limit), offset: '0', category: 'overall'
   });
-  const res = await fetch(`${BASE_URL}/v1/leaderboard?${params}`);
-  return res.json();
-}
-
-async function fetchClosedPositions(wallet) {
-  const params = new URLSearchParams({
-    user: wallet, sortBy: 'realizedpnl', sortDirection: 'DESC', limit: '100'
-  });
-  const res = await fetch(`${BASE_URL}/closed-positions?${params}`);
-  return res.json();
+  return normalizeAll(await fetchJson(`${BASE_URL}/v1/leaderboard?${params}`), normalizeLeaderboardEntry, { source: 'leaderboard' }).items;
 }
 
 async function fetchPositions(wallet) {
   const params = new URLSearchParams({
     user: wallet, sortBy: 'CURRENT', sortDirection: 'DESC', sizeThreshold: '.1', limit: '30'
   });
-  const res = await fetch(`${BASE_URL}/positions?${params}`);
-  return res.json();
+  return normalizeAll(await fetchJson(`${BASE_URL}/positions?${params}`), normalizePosition, { source: 'position' }).items;
 }
 
 export default async function handler(req) {
+  const { profile, mode, error } = parseQuery(req);
+  if (error) return error;
+  
   try {
     // Get traders from multiple time periods
     const [allTime, monthly, weekly] = await Promise.all([
@@ -41,66 +36,69 @@ export default async function handler(req) {
     // Dedupe
     const traderMap = new Map();
     for (const t of [...allTime, ...monthly, ...weekly]) {
-      if (!traderMap.has(t.proxyWallet) && (t.pnl || 0) > 0 && (t.vol || 0) > 50000) {
-        traderMap.set(t.proxyWallet, t);
+      if (!traderMap.has(t.wallet) && t.pnl > 0 && t.volume > 50000) {
+        traderMap.set(t.wallet, t);
       }
     }
     
-    const candidates = [];
     const traders = Array.from(traderMap.values()).slice(0, 50);
     
-    for (const trader of traders) {
-      try {
-        const [closed, open] = await Promise.all([
-          fetchClosedPositions(trader.proxyWallet),
-          fetchPositions(trader.proxyWallet)
-        ]);
-        
-        const wins = closed.filter(p => p.realizedPnl > 0);
-        const losses = closed.filter(p => p.realizedPnl < 0);
-        const totalTrades = wins.length + losses.length;
-        const winRate = totalTrades > 0 ? wins.length / totalTrades : 0;
-        const efficiency = trader.pnl / (trader.vol || 1);
-        
-        const totalWins = wins.reduce((s, p) => s + p.realizedPnl, 0);
-        const totalLosses = Math.abs(losses.reduce((s, p) => s + p.realizedPnl, 0));
-        const profitFactor = totalLosses > 0 ? totalWins / totalLosses : 10;
-        
-        // Filter: 15+ trades, 70%+ win rate, 30%+ efficiency
-        if (totalTrades >= 15 && winRate >= 0.70 && efficiency >= 0.30) {
-          candidates.push({
-            wallet: trader.proxyWallet,
-            userName: trader.userName,
-            pnl: Math.round(trader.pnl),
-            volume: Math.round(trader.vol),
-            efficiency: Math.round(efficiency * 1000) / 10,
-            winRate: Math.round(winRate * 1000) / 10,
-            profitFactor: Math.round(profitFactor * 100) / 100,
-            totalTrades,
-            wins: wins.length,
-            losses: losses.length,
-            avgWin: wins.length > 0 ? Math.round(totalWins / wins.length) : 0,
-            avgLoss: losses.length > 0 ? Math.round(totalLosses / losses.length) : 0,
-            positions: open.map(p => ({
-              market: p.title || p.eventSlug,
-              outcome: p.outcome,
-              size: Math.round(p.currentValue || p.size || 0),
-              avgPrice: p.avgPrice,
-              currentPrice: p.curPrice,
-              pnl: Math.round(p.cashPnl || 0)
-            }))
-          });
-        }
-      } catch (err) {}
-    }
+    const { results, failed } = await mapInBatches(traders, async trader => {
+      const [{ closed, sample }, open] = await Promise.all([
+        fetchClosedPositions(trader.wallet, mode),
+        fetchPositions(trader.wallet)
+      ]);
+      
+      const summary = summarizeClosedPositions(closed);
+      const efficiency = trader.pnl / (trader.volume || 1);
+      
+      if (!isCopyCandidate(summary, efficiency, profile)) return null;
+      
+      return {
+        wallet: trader.wallet,
+        userName: trader.userName,
+        pnl: Math.round(trader.pnl),
+        volume: Math.round(trader.volume),
+        efficiency: Math.round(efficiency * 1000) / 10,
+        winRate: Math.round(summary.winRate * 1000) / 10,
+        winRateLower: Math.round(summary.winRateLower * 1000) / 10,
+        sampleSize: summary.sampleSize,
+        sampled: sample.sampled,
+        totalClosed: sample.total,
+        totalClosedCapped: sample.totalCapped,
+        profitFactor: Math.round(summary.profitFactor * 100) / 100,
+        totalTrades: summary.totalTrades,
+        wins: summary.wins,
+        losses: summary.losses,
+        avgWin: Math.round(summary.avgWin),
+        avgLoss: Math.round(summary.avgLoss),
+        positions: open.map(p => ({
+          market: p.title,
+          outcome: p.outcome,
+          size: p.usdSize != null ? Math.round(p.usdSize) : null,
+          avgPrice: p.avgPrice,
+          currentPrice: p.curPrice,
+          pnl: Math.round(p.cashPnl || 0)
+        }))
+      };
+    });
+    
+    const candidates = results.filter(Boolean);
     
-    // Sort by efficiency
-    candidates.sort((a, b) => b.efficiency - a.efficiency);
+    // Sort by efficiency, then by how sure we are of the win rate
+    candidates.sort((a, b) => b.efficiency - a.efficiency || b.winRateLower - a.winRateLower);
     
     return new Response(JSON.stringify({
       fetchedAt: new Date().toISOString(),
-      criteria: { minTrades: 15, minWinRate: 70, minEfficiency: 30 },
+      profile: profile.name,
+      sampleMode: mode,
+      criteria: {
+        minTrades: profile.copyCandidate.minTrades,
+        minWinRate: Math.round(profile.copyCandidate.minWinRate * 100),
+        minEfficiency: Math.round(profile.copyCandidate.minEfficiency * 100)
+      },
       count: candidates.length,
+      failed,
       traders: candidates
     }), {
       headers: { 
@@ -1,8 +1,10 @@
 // Vercel serverless - Calculate edge scores for top traders
 
-export const config = { runtime: 'edge' };
+import { normalizeAll, normalizeLeaderboardEntry, normalizePosition } from '../src/models.js';
+import { calculateEdgeScore } from '../src/scoring.js';
+import { BASE_URL, fetchJson, fetchClosedPositions, mapInBatches, parseQuery } from '../src/serverless.js';
 
-const BASE_URL = 'https://data-api.polymarket.com';
+export const config = { runtime: 'edge' };
 
 async function fetchLeaderboard(timePeriod, limit = 100) {
   const params = new URLSearchParams({
@@ -12,19 +14,7 @@ async function fetchLeaderboard(timePeriod, limit = 100) {
     offset: '0',
     category: 'overall'
   });
-  const res = await fetch(`${BASE_URL}/v1/leaderboard?${params}`);
-  return res.json();
-}
-
-async function fetchClosedPositions(wallet) {
-  const params = new URLSearchParams({
-    user: wallet,
-    sortBy: 'realizedpnl',
-    sortDirection: 'DESC',
-    limit: '50'
-  });
-  const res = await fetch(`${BASE_URL}/closed-positions?${params}`);
-  return res.json();
+  return normalizeAll(await fetchJson(`${BASE_URL}/v1/leaderboard?${params}`), normalizeLeaderboardEntry, { source: 'leaderboard' }).items;
 }
 
 async function fetchPositions(wallet) {
@@ -35,92 +25,75 @@ async function fetchPositions(wallet) {
     sizeThreshold: '.1',
     limit: '20'
   });
-  const res = await fetch(`${BASE_URL}/positions?${params}`);
-  return res.json();
-}
-
-function calculateEdgeScore(trader, closedPositions) {
-  const pnl = trader.pnl || 0;
-  const volume = trader.vol || 1;
-  const efficiency = pnl / volume;
-  
-  const wins = closedPositions.filter(p => p.realizedPnl > 0);
-  const losses = closedPositions.filter(p => p.realizedPnl < 0);
-  const totalTrades = wins.length + losses.length;
-  const winRate = totalTrades > 0 ? wins.length / totalTrades : 0.5;
-  
-  const totalWins = wins.reduce((s, p) => s + p.realizedPnl, 0);
-  const totalLosses = Math.abs(losses.reduce((s, p) => s + p.realizedPnl, 0));
-  const profitFactor = totalLosses > 0 ? totalWins / totalLosses : totalWins > 0 ? 10 : 1;
-  
-  const efficiencyScore = Math.min(efficiency * 200, 100);
-  const winRateScore = winRate * 100;
-  const profitFactorScore = Math.min(profitFactor * 20, 100);
-  const consistencyScore = totalTrades > 20 ? 100 : (totalTrades / 20) * 100;
-  const sizeScore = Math.min(Math.log10(volume + 1) * 15, 100);
-  
-  const edgeScore = (
-    efficiencyScore * 0.30 +
-    winRateScore * 0.25 +
-    profitFactorScore * 0.20 +
-    consistencyScore * 0.15 +
-    sizeScore * 0.10
-  );
-  
-  return {
-    edgeScore: Math.round(edgeScore * 10) / 10,
-    efficiency: Math.round(efficiency * 1000) / 10,
-    winRate: Math.round(winRate * 1000) / 10,
-    profitFactor: Math.round(profitFactor * 100) / 100,
-    wins: wins.length,
-    losses: losses.length,
-    totalTrades
-  };
+  return normalizeAll(await fetchJson(`${BASE_URL}/positions?${params}`), normalizePosition, { source: 'position' }).items;
 }
 
 export default async function handler(req) {
+  const { profile, mode, error } = parseQuery(req);
+  if (error) return error;
+  
   try {
     // Get top traders
     const traders = await fetchLeaderboard('all', 50);
     
     // Filter profitable with decent volume
-    const candidates = traders.filter(t => (t.pnl || 0) > 0 && (t.vol || 0) > 50000);
+    const candidates = traders.filter(t => t.pnl > 0 && t.volume > 50000);
     
     // Calculate edge for top 30
-    const edgeTraders = [];
-    
-    for (const trader of candidates.slice(0, 30)) {
-      try {
-        const [closedPositions, openPositions] = await Promise.all([
-          fetchClosedPositions(trader.proxyWallet),
-          fetchPositions(trader.proxyWallet)
-        ]);
-        
-        const edge = calculateEdgeScore(trader, closedPositions);
-        
-        edgeTraders.push({
-          wallet: trader.proxyWallet,
-          userName: trader.userName,
-          pnl: trader.pnl,
-          volume: trader.vol,
-          ...edge,
-          openPositions: openPositions.slice(0, 5).map(p => ({
-            market: p.title || p.eventSlug,
-            outcome: p.outcome,
-            size: Math.round(p.currentValue || p.size || 0),
-            price: p.curPrice
-          }))
-        });
-      } catch (err) {
-        // Skip failed
-      }
-    }
+    const { results: edgeTraders, failed } = await mapInBatches(candidates.slice(0, 30), async trader => {
+      const [{ closed: closedPositions, sample }, openPositions] = await Promise.all([
+        fetchClosedPositions(trader.wallet, mode),
+        fetchPositions(trader.wallet)
+      ]);
+      
+      const { edgeScore, rawEdgeScore, stats, calibration, risk } = calculateEdgeScore(trader, closedPositions, profile);
+      
+      return {
+        wallet: trader.wallet,
+        userName: trader.userName,
+        pnl: trader.pnl,
+        volume: trader.volume,
+        edgeScore,
+        rawEdgeScore,
+        efficiency: stats.efficiencyPct,
+        winRate: stats.winRate,
+        winRateLower: stats.winRateLower,
+        winRateUpper: stats.winRateUpper,
+        profitFactor: stats.profitFactor,
+        profitFactorLower: stats.profitFactorLower,
+        sampleSize: stats.sampleSize,
+        wins: stats.wins,
+        losses: stats.losses,
+        totalTrades: stats.totalTrades,
+        expectedWinRate: calibration.expectedWinRate,
+        excessWinRate: calibration.excessWinRate,
+        alphaZ: calibration.alphaZ,
+        sampled: sample.sampled,
+        totalClosed: sample.total,
+        totalClosedCapped: sample.totalCapped,
+        sharpe: risk.sharpe,
+        sortino: risk.sortino,
+        maxDrawdown: risk.maxDrawdown,
+        maxDrawdownPct: risk.maxDrawdownPct,
+        longestLosingStreak: risk.longestLosingStreak,
+        momentum: risk.momentum,
+        openPositions: openPositions.slice(0, 5).map(p => ({
+          market: p.title,
+          outcome: p.outcome,
+          size: p.usdSize != null ? Math.round(p.usdSize) : null,
+          price: p.curPrice
+        }))
+      };
+    });
     
     // Sort by edge score
     edgeTraders.sort((a, b) => b.edgeScore - a.edgeScore);
     
     return new Response(JSON.stringify({
       fetchedAt: new Date().toISOString(),
+      profile: profile.name,
+      sampleMode: mode,
+      failed,
       traders: edgeTraders
     }), {
       headers: { 
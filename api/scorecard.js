@@ -0,0 +1,26 @@
+import { readFileSync, existsSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { buildScorecard } from '../src/scorecard.js';
+import { DEFAULT_SIGNAL_RULES } from '../src/signals.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Signal hit rate and return by confidence level, trader, trader count and category
+export default function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  
+  const filePath = resolve(__dirname, '../data/signal-outcomes.json');
+  const thresholds = DEFAULT_SIGNAL_RULES.confidenceThresholds;
+  
+  if (!existsSync(filePath)) {
+    return res.status(200).json(buildScorecard([], { thresholds }));
+  }
+  
+  try {
+    const records = JSON.parse(readFileSync(filePath, 'utf-8'));
+    res.status(200).json(buildScorecard(records, { thresholds }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
@@ -1,5 +1,7 @@
 // Vercel serverless function - generates copy signals from top trader positions
 
+import { normalizeAll, normalizePosition } from '../src/models.js';
+
 export const config = { runtime: 'edge' };
 
 const BASE_URL = 'https://data-api.polymarket.com';
@@ -20,7 +22,7 @@ async function fetchPositions(wallet) {
   });
   
   const res = await fetch(`${BASE_URL}/positions?${params}`);
-  return res.json();
+  return normalizeAll(await res.json(), normalizePosition, { source: 'position' }).items;
 }
 
 export default async function handler(req) {
@@ -47,9 +49,9 @@ export default async function handler(req) {
       if (!grouped[key]) {
         grouped[key] = {
           conditionId: pos.conditionId,
-          market: pos.title || pos.eventSlug,
+          market: pos.title,
           outcome: pos.outcome,
-          side: pos.size > 0 ? 'LONG' : 'SHORT',
+          side: pos.shares > 0 ? 'LONG' : 'SHORT',
           positions: []
         };
       }
@@ -60,8 +62,8 @@ export default async function handler(req) {
     const signals = [];
     
     for (const [key, group] of Object.entries(grouped)) {
-      const totalSize = group.positions.reduce((s, p) => s + Math.abs(p.currentValue || p.size || 0), 0);
-      const avgPrice = group.positions.reduce((s, p) => s + (p.avgPrice || p.curPrice || 0), 0) / group.positions.length;
+      const totalSize = group.positions.reduce((s, p) => s + Math.abs(p.usdSize ?? 0), 0);
+      const avgPrice = group.positions.reduce((s, p) => s + (p.avgPrice ?? p.curPrice ?? 0), 0) / group.positions.length;
       const traderCount = new Set(group.positions.map(p => p.traderWallet)).size;
       
       if (totalSize < 5000) continue;
@@ -81,7 +83,7 @@ export default async function handler(req) {
         traderCount,
         traders: group.positions.map(p => ({
           wallet: p.traderWallet,
-          size: p.currentValue || p.size
+          size: p.usdSize
         }))
       });
     }
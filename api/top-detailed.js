@@ -1,22 +1,14 @@
 // Vercel serverless function - fetches detailed trader stats
 
-export const config = { runtime: 'edge' };
-
-const BASE_URL = 'https://data-api.polymarket.com';
+import { summarizeClosedPositions } from '../src/scoring.js';
+import { BASE_URL, fetchJson, fetchClosedPositions, mapInBatches, parseQuery } from '../src/serverless.js';
 
-async function fetchClosedPositions(wallet) {
-  const params = new URLSearchParams({
-    user: wallet,
-    sortBy: 'realizedpnl',
-    sortDirection: 'DESC',
-    limit: '50'
-  });
-  
-  const res = await fetch(`${BASE_URL}/closed-positions?${params}`);
-  return res.json();
-}
+export const config = { runtime: 'edge' };
 
 export default async function handler(req) {
+  const { mode, error } = parseQuery(req, { profile: false });
+  if (error) return error;
+  
   try {
     // Get top 20 traders
     const params = new URLSearchParams({
@@ -27,32 +19,36 @@ export default async function handler(req) {
       category: 'overall'
     });
     
-    const topTraders = await fetch(`${BASE_URL}/v1/leaderboard?${params}`).then(r => r.json());
+    const topTraders = await fetchJson(`${BASE_URL}/v1/leaderboard?${params}`);
     
     // Fetch detailed stats for each (in batches to avoid rate limits)
-    const detailed = [];
-    
-    for (const trader of topTraders.slice(0, 20)) {
+    // A failed trader stays in the list with its error, so nothing is lost
+    const { results: detailed } = await mapInBatches(topTraders.slice(0, 20), async trader => {
       try {
-        const closedPositions = await fetchClosedPositions(trader.proxyWallet);
+        const { closed, sample } = await fetchClosedPositions(trader.proxyWallet, mode);
         
-        const wins = closedPositions.filter(p => p.realizedPnl > 0).length;
-        const losses = closedPositions.filter(p => p.realizedPnl < 0).length;
-        const winRate = wins + losses > 0 ? wins / (wins + losses) : null;
+        const summary = summarizeClosedPositions(closed);
         
-        detailed.push({
+        return {
           ...trader,
-          winRate,
-          totalTrades: wins + losses,
-          wins,
-          losses,
-          avgWin: wins > 0 ? closedPositions.filter(p => p.realizedPnl > 0).reduce((s, p) => s + p.realizedPnl, 0) / wins : 0,
-          avgLoss: losses > 0 ? closedPositions.filter(p => p.realizedPnl < 0).reduce((s, p) => s + p.realizedPnl, 0) / losses : 0
-        });
+          winRate: summary.winRate,
+          winRateLower: summary.winRateLower,
+          winRateUpper: summary.winRateUpper,
+          sampleSize: summary.sampleSize,
+          totalTrades: summary.totalTrades,
+          wins: summary.wins,
+          losses: summary.losses,
+          avgWin: summary.avgWin,
+          avgLoss: -summary.avgLoss,
+          sampled: sample.sampled,
+          totalClosed: sample.total,
+          totalClosedCapped: sample.totalCapped,
+          sampleMode: sample.mode
+        };
       } catch (err) {
-        detailed.push({ ...trader, error: err.message });
+        return { ...trader, error: err.message };
       }
-    }
+    });
     
     return new Response(JSON.stringify(detailed), {
       headers: { 
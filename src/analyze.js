@@ -1,9 +1,16 @@
 #!/usr/bin/env node
 /**
  * Analyze trader data and output screener results
+ *
+ * Usage:
+ *   node src/analyze.js [--style=<label>[,<label>]]
+ *
+ * --style keeps only traders with those trading styles (see style.js) in
+ * the sections built from detailed stats.
  */
 
 import { readFileSync, existsSync } from 'fs';
+import { STYLES, parseStyleFilter, matchesStyle, formatHoldingTime } from './style.js';
 
 const DATA_DIR = './data';
 
@@ -28,16 +35,18 @@ function formatPct(n) {
 }
 
 function main() {
+  const styleFilter = parseStyleFilter(process.argv.slice(2));
   const leaderboard = loadData('leaderboard.json');
   const detailedPath = `${DATA_DIR}/top-traders-detailed.json`;
   const detailed = existsSync(detailedPath) 
-    ? JSON.parse(readFileSync(detailedPath, 'utf-8'))
+    ? JSON.parse(readFileSync(detailedPath, 'utf-8')).filter(t => matchesStyle(t.style, styleFilter))
     : null;
 
   console.log('═'.repeat(80));
   console.log(' POLYMARKET TRADER SCREENER');
   console.log('═'.repeat(80));
-  console.log(`\nData fetched: ${leaderboard.all.fetchedAt}\n`);
+  console.log(`\nData fetched: ${leaderboard.all.fetchedAt}`);
+  console.log(`Styles: ${styleFilter ? styleFilter.join(', ') : 'all'}\n`);
 
   // Top by All-Time PnL
   console.log('─'.repeat(80));
@@ -48,7 +57,8 @@ function main() {
     'Trader'.padEnd(25) +
     'PnL'.padStart(15) +
     'Volume'.padStart(15) +
-    'Win Rate'.padStart(12)
+    'Win Rate'.padStart(10) +
+    'WR Low'.padStart(9)
   );
   console.log('─'.repeat(80));
 
@@ -60,7 +70,8 @@ function main() {
       trader.userName.slice(0, 24).padEnd(25) +
       formatMoney(trader.pnl).padStart(15) +
       formatMoney(trader.vol).padStart(15) +
-      formatPct(detail?.winRate).padStart(12)
+      formatPct(detail?.winRate).padStart(10) +
+      formatPct(detail?.winRateLower).padStart(9)
     );
   }
 
@@ -118,7 +129,8 @@ function main() {
       'Trader'.padEnd(25) +
       'PnL/Vol'.padStart(12) +
       'Win Rate'.padStart(12) +
-      'Trades'.padStart(10)
+      'WR Low'.padStart(9) +
+      'Trades'.padStart(12)
     );
     console.log('─'.repeat(80));
 
@@ -138,7 +150,8 @@ function main() {
         trader.userName.slice(0, 24).padEnd(25) +
         formatPct(trader.efficiency).padStart(12) +
         formatPct(trader.winRate).padStart(12) +
-        String(trader.totalTrades || '-').padStart(10)
+        formatPct(trader.winRateLower).padStart(9) +
+        (trader.sample ? `${trader.totalTrades}/${trader.sample.total}${trader.sample.totalCapped ? '+' : ''}` : String(trader.totalTrades || '-')).padStart(12)
       );
     }
   }
@@ -151,6 +164,7 @@ function main() {
     console.log(
       'Trader'.padEnd(25) +
       'Win Rate'.padStart(12) +
+      'WR Low'.padStart(9) +
       'W/L'.padStart(10) +
       'Avg Win'.padStart(12) +
       'Avg Loss'.padStart(12)
@@ -159,13 +173,15 @@ function main() {
 
     const consistent = detailed
       .filter(t => t.winRate >= 0.6 && t.vol > 50000 && t.totalTrades >= 10)
-      .sort((a, b) => b.winRate - a.winRate)
+      // Rank by the lower bound so short lucky streaks don't top the list
+      .sort((a, b) => (b.winRateLower ?? 0) - (a.winRateLower ?? 0))
       .slice(0, 10);
 
     for (const trader of consistent) {
       console.log(
         trader.userName.slice(0, 24).padEnd(25) +
         formatPct(trader.winRate).padStart(12) +
+        formatPct(trader.winRateLower).padStart(9) +
         `${trader.wins}/${trader.losses}`.padStart(10) +
         formatMoney(trader.avgWin).padStart(12) +
         formatMoney(trader.avgLoss).padStart(12)
@@ -177,7 +193,48 @@ function main() {
     }
   }
 
+  // Trading style (holding time, entry prices, sizing)
+  if (detailed && detailed.length > 0) {
+    console.log('\n' + '─'.repeat(80));
+    console.log(' TRADING STYLES');
+    console.log('─'.repeat(80));
+    console.log(
+      'Trader'.padEnd(25) +
+      'Style'.padEnd(10) +
+      'Hold'.padStart(8) +
+      'Resolved'.padStart(9) +
+      'Entry'.padStart(8) +
+      'Size/Port'.padStart(10) +
+      'Trades/Wk'.padStart(10)
+    );
+    console.log('─'.repeat(80));
+
+    const styled = detailed.filter(t => t.style?.label).slice(0, 20);
+    for (const trader of styled) {
+      const s = trader.style;
+      console.log(
+        trader.userName.slice(0, 24).padEnd(25) +
+        s.label.padEnd(10) +
+        formatHoldingTime(s.holding.medianHours).padStart(8) +
+        formatPct(s.holding.heldToResolution).padStart(9) +
+        (s.entryPrice.avg != null ? `${Math.round(s.entryPrice.avg * 100)}¢` : '-').padStart(8) +
+        (s.positionSizePct != null ? `${s.positionSizePct}%` : '-').padStart(10) +
+        (s.tradesPerWeek != null ? String(s.tradesPerWeek) : '-').padStart(10)
+      );
+    }
+
+    if (styled.length === 0) {
+      console.log('  No traders match criteria');
+    }
+    console.log('─'.repeat(80));
+    for (const [name, description] of Object.entries(STYLES)) {
+      console.log(`  ${name.padEnd(10)} ${description}`);
+    }
+  }
+
   console.log('\n' + '═'.repeat(80));
+  console.log(' WR Low = 95% lower bound on win rate (Wilson), based on Trades closed positions');
+  console.log(' Trades = closed positions scored / trader\'s total (time-ordered sample, not top winners)');
   console.log(' Profile URLs: https://polymarket.com/profile/{wallet}');
   console.log('═'.repeat(80) + '\n');
 }
@@ -2,8 +2,301 @@
  * Polymarket API client
  */
 
+import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { toMillis } from './models.js';
+import { sampleByTime, DEFAULT_SAMPLING_MODE } from './sampling.js';
+
 const BASE_URL = 'https://data-api.polymarket.com';
 
+// Offline mode. 'record' saves every response to the cassette directory,
+// 'replay' serves them back from disk without touching the network.
+// Set with POLYMARKET_API_MODE or the --record / --replay flags.
+const API_MODE = process.argv.includes('--replay') ? 'replay'
+  : process.argv.includes('--record') ? 'record'
+  : process.env.POLYMARKET_API_MODE || 'live';
+const CASSETTE_DIR = process.env.POLYMARKET_CASSETTE_DIR || './data/cassettes';
+
+// Response cache, keyed by URL. TTL of 0 means never cached.
+// Disable with --no-cache or POLYMARKET_NO_CACHE=1.
+const CACHE_ENABLED = !process.argv.includes('--no-cache') && !process.env.POLYMARKET_NO_CACHE;
+const CACHE_DIR = './data/cache';
+const CACHE_TTL = {
+  leaderboard: 5 * 60 * 1000,
+  'closed-positions': 60 * 60 * 1000,
+  positions: 60 * 1000,
+  activity: 0,
+  'user-stats': 60 * 60 * 1000,
+  value: 5 * 60 * 1000,
+  rank: 60 * 60 * 1000,
+  markets: 60 * 60 * 1000,
+  midpoint: 0,
+  book: 0,
+  'prices-history': 5 * 60 * 1000
+};
+
+// Request scheduling. Every call below goes through request(), which shares
+// one token bucket across the process so callers don't need their own sleeps.
+const REQUEST_CONFIG = {
+  // Sustained requests per second across all endpoints
+  ratePerSecond: Number(process.env.POLYMARKET_RATE_LIMIT) || 5,
+  // Bucket size (requests allowed in a burst)
+  burst: 10,
+  // Retries for 429, 5xx and network errors
+  maxRetries: 4,
+  // Backoff base and cap (ms)
+  baseDelay: 500,
+  maxDelay: 15000
+};
+
+const bucket = {
+  tokens: REQUEST_CONFIG.burst,
+  lastRefill: Date.now(),
+  // Set from Retry-After so a 429 pauses every caller, not just the one that hit it
+  pausedUntil: 0,
+  queue: Promise.resolve()
+};
+
+const metrics = {};
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+function refill() {
+  const now = Date.now();
+  const elapsed = (now - bucket.lastRefill) / 1000;
+  bucket.tokens = Math.min(REQUEST_CONFIG.burst, bucket.tokens + elapsed * REQUEST_CONFIG.ratePerSecond);
+  bucket.lastRefill = now;
+}
+
+/**
+ * Wait for a token. Waiters are chained so tokens are handed out in order.
+ */
+function acquireToken() {
+  const turn = bucket.queue.then(async () => {
+    const pause = bucket.pausedUntil - Date.now();
+    if (pause > 0) await sleep(pause);
+    
+    refill();
+    if (bucket.tokens < 1) {
+      await sleep(((1 - bucket.tokens) / REQUEST_CONFIG.ratePerSecond) * 1000);
+      refill();
+    }
+    bucket.tokens -= 1;
+  });
+  bucket.queue = turn;
+  return turn;
+}
+
+function endpointMetrics(endpoint) {
+  if (!metrics[endpoint]) {
+    metrics[endpoint] = {
+      requests: 0,
+      succeeded: 0,
+      failed: 0,
+      retries: 0,
+      rateLimited: 0,
+      totalLatency: 0,
+      cacheHits: 0,
+      cacheMisses: 0
+    };
+  }
+  return metrics[endpoint];
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into ms
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = new Date(header).getTime();
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function backoffDelay(attempt) {
+  const ceiling = Math.min(REQUEST_CONFIG.maxDelay, REQUEST_CONFIG.baseDelay * 2 ** attempt);
+  // Full jitter
+  return Math.random() * ceiling;
+}
+
+function urlKey(url) {
+  return createHash('sha1').update(url).digest('hex').slice(0, 16);
+}
+
+function storePath(dir, endpoint, url) {
+  return `${dir}/${endpoint}/${urlKey(url)}.json`;
+}
+
+function writeStore(dir, endpoint, url, entry) {
+  if (!existsSync(`${dir}/${endpoint}`)) {
+    mkdirSync(`${dir}/${endpoint}`, { recursive: true });
+  }
+  writeFileSync(storePath(dir, endpoint, url), JSON.stringify({ url, ...entry }, null, 2));
+}
+
+function cassettePath(endpoint, url) {
+  return storePath(CASSETTE_DIR, endpoint, url);
+}
+
+function recordCassette(endpoint, url, body) {
+  writeStore(CASSETTE_DIR, endpoint, url, { recordedAt: new Date().toISOString(), body });
+}
+
+function replayCassette(endpoint, url, label) {
+  const path = cassettePath(endpoint, url);
+  if (!existsSync(path)) {
+    const err = new Error(`${label} fetch failed: no cassette for ${url}`);
+    err.status = 404;
+    throw err;
+  }
+  return JSON.parse(readFileSync(path, 'utf-8')).body;
+}
+
+/**
+ * Cached body for url, or undefined if missing, expired or uncacheable
+ */
+function readCache(endpoint, url) {
+  const ttl = CACHE_TTL[endpoint] || 0;
+  if (!CACHE_ENABLED || ttl <= 0) return undefined;
+  
+  const path = storePath(CACHE_DIR, endpoint, url);
+  if (!existsSync(path)) return undefined;
+  
+  try {
+    const entry = JSON.parse(readFileSync(path, 'utf-8'));
+    if (Date.now() - new Date(entry.fetchedAt).getTime() > ttl) return undefined;
+    return entry.body;
+  } catch (err) {
+    // Corrupt cache entry - treat as a miss
+    return undefined;
+  }
+}
+
+function writeCache(endpoint, url, body) {
+  if (!CACHE_ENABLED || !(CACHE_TTL[endpoint] > 0)) return;
+  writeStore(CACHE_DIR, endpoint, url, { fetchedAt: new Date().toISOString(), body });
+}
+
+/**
+ * Current API mode: 'live', 'record' or 'replay'
+ */
+export function getApiMode() {
+  return API_MODE;
+}
+
+/**
+ * Rate-limited GET returning parsed JSON.
+ * Serves from the disk cache when fresh, otherwise retries 429
+ * (honoring Retry-After), 5xx and network errors.
+ * @param {string} url
+ * @param {Object} options
+ * @param {string} options.endpoint - Metrics key, e.g. 'positions'
+ * @param {string} options.label - Used in error messages, e.g. 'Positions'
+ */
+export async function request(url, { endpoint = 'other', label = 'Request' } = {}) {
+  const stats = endpointMetrics(endpoint);
+  
+  if (API_MODE === 'replay') {
+    stats.requests++;
+    try {
+      const body = replayCassette(endpoint, url, label);
+      stats.succeeded++;
+      return body;
+    } catch (err) {
+      stats.failed++;
+      throw err;
+    }
+  }
+  
+  const cached = readCache(endpoint, url);
+  if (cached !== undefined) {
+    stats.cacheHits++;
+    if (API_MODE === 'record') {
+      recordCassette(endpoint, url, cached);
+    }
+    return cached;
+  }
+  if (CACHE_ENABLED && CACHE_TTL[endpoint] > 0) {
+    stats.cacheMisses++;
+  }
+  
+  for (let attempt = 0; ; attempt++) {
+    await acquireToken();
+    stats.requests++;
+    const started = Date.now();
+    
+    let res;
+    try {
+      res = await fetch(url);
+    } catch (err) {
+      stats.totalLatency += Date.now() - started;
+      if (attempt < REQUEST_CONFIG.maxRetries) {
+        stats.retries++;
+        await sleep(backoffDelay(attempt));
+        continue;
+      }
+      stats.failed++;
+      throw new Error(`${label} fetch failed: ${err.message}`);
+    }
+    stats.totalLatency += Date.now() - started;
+    
+    if (res.ok) {
+      stats.succeeded++;
+      const body = await res.json();
+      writeCache(endpoint, url, body);
+      if (API_MODE === 'record') {
+        recordCassette(endpoint, url, body);
+      }
+      return body;
+    }
+    
+    const retryable = res.status === 429 || res.status >= 500;
+    if (retryable && attempt < REQUEST_CONFIG.maxRetries) {
+      stats.retries++;
+      let delay = backoffDelay(attempt);
+      if (res.status === 429) {
+        stats.rateLimited++;
+        const retryAfter = parseRetryAfter(res.headers.get('retry-after'));
+        if (retryAfter != null) delay = retryAfter;
+        bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + delay);
+      }
+      await sleep(delay);
+      continue;
+    }
+    
+    stats.failed++;
+    const err = new Error(`${label} fetch failed: ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+}
+
+/**
+ * Per-endpoint request metrics
+ */
+export function getRequestMetrics() {
+  const result = {};
+  for (const [endpoint, m] of Object.entries(metrics)) {
+    result[endpoint] = {
+      ...m,
+      avgLatency: m.requests > 0 ? Math.round(m.totalLatency / m.requests) : 0
+    };
+  }
+  return result;
+}
+
+/**
+ * One-line summary of request metrics for CLI output
+ */
+export function formatRequestMetrics() {
+  return Object.entries(getRequestMetrics())
+    .map(([endpoint, m]) => `${endpoint}: ${m.requests} req, ${m.cacheHits}/${m.cacheHits + m.cacheMisses} cached, ${m.retries} retries, ${m.failed} failed, ${m.avgLatency}ms avg`)
+    .join(' | ');
+}
+
 /**
  * Fetch leaderboard data
  * @param {Object} options
@@ -29,13 +322,7 @@ export async function fetchLeaderboard({
   });
   
   const url = `${BASE_URL}/v1/leaderboard?${params}`;
-  const res = await fetch(url);
-  
-  if (!res.ok) {
-    throw new Error(`Leaderboard fetch failed: ${res.status}`);
-  }
-  
-  return res.json();
+  return request(url, { endpoint: 'leaderboard', label: 'Leaderboard' });
 }
 
 /**
@@ -54,9 +341,6 @@ export async function fetchAllLeaderboard(options = {}, maxPages = 10) {
     
     if (traders.length === 0) break;
     allTraders.push(...traders);
-    
-    // Rate limiting
-    await new Promise(r => setTimeout(r, 200));
   }
   
   return allTraders;
@@ -76,35 +360,31 @@ export async function fetchPositions(walletAddress, { limit = 50, offset = 0 } =
   });
   
   const url = `${BASE_URL}/positions?${params}`;
-  const res = await fetch(url);
-  
-  if (!res.ok) {
-    throw new Error(`Positions fetch failed: ${res.status}`);
-  }
-  
-  return res.json();
+  return request(url, { endpoint: 'positions', label: 'Positions' });
 }
 
 /**
  * Fetch user closed positions (realized PnL)
+ * @param {string} walletAddress
+ * @param {Object} options
+ * @param {'realizedpnl'|'TIMESTAMP'} options.sortBy
  */
-export async function fetchClosedPositions(walletAddress, { limit = 50, offset = 0 } = {}) {
+export async function fetchClosedPositions(walletAddress, {
+  limit = 50,
+  offset = 0,
+  sortBy = 'realizedpnl',
+  sortDirection = 'DESC'
+} = {}) {
   const params = new URLSearchParams({
     user: walletAddress,
-    sortBy: 'realizedpnl',
-    sortDirection: 'DESC',
+    sortBy,
+    sortDirection,
     limit: String(limit),
     offset: String(offset)
   });
   
   const url = `${BASE_URL}/closed-positions?${params}`;
-  const res = await fetch(url);
-  
-  if (!res.ok) {
-    throw new Error(`Closed positions fetch failed: ${res.status}`);
-  }
-  
-  return res.json();
+  return request(url, { endpoint: 'closed-positions', label: 'Closed positions' });
 }
 
 /**
@@ -118,13 +398,7 @@ export async function fetchActivity(walletAddress, { limit = 50, offset = 0 } =
   });
   
   const url = `${BASE_URL}/activity?${params}`;
-  const res = await fetch(url);
-  
-  if (!res.ok) {
-    throw new Error(`Activity fetch failed: ${res.status}`);
-  }
-  
-  return res.json();
+  return request(url, { endpoint: 'activity', label: 'Activity' });
 }
 
 /**
@@ -132,13 +406,7 @@ export async function fetchActivity(walletAddress, { limit = 50, offset = 0 } =
  */
 export async function fetchUserStats(walletAddress) {
   const url = `${BASE_URL}/v1/user-stats?proxyAddress=${walletAddress}`;
-  const res = await fetch(url);
-  
-  if (!res.ok) {
-    throw new Error(`User stats fetch failed: ${res.status}`);
-  }
-  
-  return res.json();
+  return request(url, { endpoint: 'user-stats', label: 'User stats' });
 }
 
 /**
@@ -146,13 +414,7 @@ export async function fetchUserStats(walletAddress) {
  */
 export async function fetchUserValue(walletAddress) {
   const url = `${BASE_URL}/value?user=${walletAddress}`;
-  const res = await fetch(url);
-  
-  if (!res.ok) {
-    throw new Error(`User value fetch failed: ${res.status}`);
-  }
-  
-  return res.json();
+  return request(url, { endpoint: 'value', label: 'User value' });
 }
 
 /**
@@ -160,11 +422,119 @@ export async function fetchUserValue(walletAddress) {
  */
 export async function fetchUserRank(walletAddress, rankType = 'pnl') {
   const url = `https://lb-api.polymarket.com/rank?address=${walletAddress}&rankType=${rankType}`;
-  const res = await fetch(url);
+  return request(url, { endpoint: 'rank', label: 'User rank' });
+}
+
+/**
+ * Page through an offset-based endpoint one item at a time.
+ * Stops on an empty or short page, after maxItems, or at the first item
+ * older than `since` (pages must be newest-first for that to hold).
+ */
+async function* paginate(fetchPage, { pageSize, maxItems = Infinity, since = null }) {
+  const cutoff = since != null ? new Date(since).getTime() : null;
+  let count = 0;
   
-  if (!res.ok) {
-    throw new Error(`User rank fetch failed: ${res.status}`);
+  for (let offset = 0; count < maxItems; offset += pageSize) {
+    const page = await fetchPage({ limit: pageSize, offset });
+    if (!page || page.length === 0) return;
+    
+    for (const item of page) {
+      if (cutoff != null && toMillis(item.timestamp) < cutoff) return;
+      yield item;
+      if (++count >= maxItems) return;
+    }
+    
+    if (page.length < pageSize) return;
   }
-  
-  return res.json();
+}
+
+/**
+ * Iterate all open positions for a wallet
+ * @param {string} walletAddress
+ * @param {Object} options
+ * @param {number} options.maxItems
+ * @param {number} options.pageSize
+ */
+export function iteratePositions(walletAddress, { maxItems, pageSize = 100 } = {}) {
+  return paginate(
+    page => fetchPositions(walletAddress, page),
+    { pageSize, maxItems }
+  );
+}
+
+/**
+ * Iterate closed positions for a wallet, newest first.
+ * Sorting by 'realizedpnl' returns the biggest winners first - don't compute
+ * win rates from a partial walk in that order (see sampleClosedPositions).
+ * Passing `since` always uses time ordering so the walk can stop at the cutoff.
+ * @param {string} walletAddress
+ * @param {Object} options
+ * @param {number} options.maxItems
+ * @param {Date|number} options.since - Stop at positions closed before this time
+ * @param {'realizedpnl'|'TIMESTAMP'} options.sortBy
+ * @param {number} options.pageSize
+ */
+export function iterateClosedPositions(walletAddress, {
+  maxItems,
+  since = null,
+  sortBy = 'TIMESTAMP',
+  pageSize = 50
+} = {}) {
+  return paginate(
+    page => fetchClosedPositions(walletAddress, {
+      ...page,
+      sortBy: since != null ? 'TIMESTAMP' : sortBy,
+      sortDirection: 'DESC'
+    }),
+    { pageSize, maxItems, since }
+  );
+}
+
+/**
+ * Outcome-blind sample of a wallet's closed positions for win-rate stats,
+ * with the wallet's total so results can report what they're based on.
+ * @param {string} walletAddress
+ * @param {Object} options
+ * @param {'recent'|'spread'} options.mode - Newest N, or pages spread across all history
+ * @param {number} options.maxItems
+ * @param {number} options.pageSize
+ * @param {boolean} options.countTotal - false skips probing for the total (reported as a lower bound)
+ * @returns {Promise<{ items: Object[], sample: { mode: string, sampled: number, total: number, totalCapped: boolean, complete: boolean } }>}
+ */
+export function sampleClosedPositions(walletAddress, {
+  mode = DEFAULT_SAMPLING_MODE,
+  maxItems = 1000,
+  pageSize = 50,
+  countTotal = true
+} = {}) {
+  return sampleByTime(
+    page => fetchClosedPositions(walletAddress, { ...page, sortBy: 'TIMESTAMP', sortDirection: 'DESC' }),
+    { mode, maxItems, pageSize, countTotal }
+  );
+}
+
+/**
+ * Iterate activity for a wallet, newest first
+ * @param {string} walletAddress
+ * @param {Object} options
+ * @param {number} options.maxItems
+ * @param {Date|number} options.since - Stop at activity older than this time
+ * @param {number} options.pageSize
+ */
+export function iterateActivity(walletAddress, { maxItems, since = null, pageSize = 100 } = {}) {
+  return paginate(
+    page => fetchActivity(walletAddress, page),
+    { pageSize, maxItems, since }
+  );
+}
+
+/**
+ * Drain an async iterator into an array
+ */
+export async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
 }
@@ -0,0 +1,473 @@
+#!/usr/bin/env node
+/**
+ * Copy-trading backtest - how copying traders would have performed
+ *
+ * Replays wallets' trade history in time order. Trades are bucketed into
+ * windows the length of a copy run; after each window the replayed
+ * positions are snapshotted and diffed exactly as `npm run copy` does
+ * (position-events.js), and the events go through the same grouping and
+ * confidence rules (signals.js). Each signal is copied after a delay, at
+ * the historical price plus slippage - unless the stale-price guard drops
+ * it at that price - into a simulated portfolio (portfolio.js) that
+ * settles when markets resolve.
+ *
+ * Traders are weighted with the default edge score and followed in every
+ * category: today's edge-traders.json was scored on the very history being
+ * replayed, so using it (--edge-data) flatters the result with look-ahead.
+ *
+ * Works offline: record a run with --record, then repeat it with --replay
+ * and the --end it printed (the requests depend on the time range).
+ *
+ * Usage:
+ *   node src/backtest.js [wallet...] [options]
+ *   No wallets = the following list (following.json, else the edge watchlist)
+ *
+ * Options:
+ *   --days=30            History to replay
+ *   --delay=5            Minutes between a signal and the copy
+ *   --slippage=0.01      Price penalty on each fill (0.01 = 1% worse)
+ *   --window=60          Minutes per replayed copy run
+ *   --sizing=fixed:500   Sizing rule (see portfolio.js)
+ *   --end=<date>         Replay up to this time (default: now, to the window)
+ *   --edge-data          Weight by today's edge scores and follow proven categories only (look-ahead)
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { iterateActivity, collect, getApiMode } from './api.js';
+import { normalizeAll, normalizeActivity } from './models.js';
+import { getMarkets } from './markets.js';
+import { fetchPriceHistory } from './clob.js';
+import { categoryOf, hasProvenEdge } from './specialization.js';
+import { snapshotPositions, diffPositions } from './position-events.js';
+import { DEFAULT_SIGNAL_RULES, buildSignals, traderHoldings, traderProfiles, guardStalePrice } from './signals.js';
+import {
+  DEFAULT_SIZING, parseSizingRule, createPortfolio, applySignal,
+  markToMarket, recordEquity, summarizePortfolio
+} from './portfolio.js';
+
+const DATA_DIR = './data';
+const FOLLOWING_FILE = `${DATA_DIR}/following.json`;
+const EDGE_WATCHLIST_FILE = `${DATA_DIR}/edge-watchlist.json`;
+const EDGE_FILE = `${DATA_DIR}/edge-traders.json`;
+const RESULTS_FILE = `${DATA_DIR}/backtest.json`;
+
+const CONFIG = {
+  days: 30,
+  delayMinutes: 5,
+  slippage: 0.01,
+  // Same cadence as an hourly `npm run copy`
+  windowMinutes: 60,
+  sizing: DEFAULT_SIZING,
+  startingCash: 10000,
+  // Activity records loaded per wallet; older trades are cut off (with a warning)
+  maxActivity: 2000,
+  // Price history resolution (minutes); fills use the first point after the delay
+  priceFidelity: 60,
+  signalRules: DEFAULT_SIGNAL_RULES
+};
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Options from CLI flags over CONFIG. Throws on invalid values.
+ */
+export function parseBacktestArgs(argv) {
+  const flag = name => argv.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const number = (name, fallback, { min = 0, max = Infinity } = {}) => {
+    const raw = flag(name);
+    if (raw == null) return fallback;
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Invalid --${name}=${raw} (expected a number from ${min}${max < Infinity ? ` to ${max}` : ''})`);
+    }
+    return value;
+  };
+  
+  const sizing = flag('sizing') ?? CONFIG.sizing;
+  parseSizingRule(sizing);
+  const end = flag('end') != null ? new Date(flag('end')).getTime() : null;
+  if (Number.isNaN(end)) {
+    throw new Error(`Invalid --end=${flag('end')} (expected a date, e.g. 2026-01-31T00:00:00Z)`);
+  }
+  return {
+    wallets: argv.filter(a => !a.startsWith('--')),
+    days: number('days', CONFIG.days, { min: 1 }),
+    delayMinutes: number('delay', CONFIG.delayMinutes),
+    slippage: number('slippage', CONFIG.slippage, { max: 0.5 }),
+    windowMinutes: number('window', CONFIG.windowMinutes, { min: 1 }),
+    sizing,
+    end,
+    useEdgeData: argv.includes('--edge-data')
+  };
+}
+
+// Position state after one trade; sells of positions opened before the replay are ignored
+function applyTrade(positions, trade) {
+  const current = positions[trade.asset];
+  if (trade.side === 'BUY') {
+    const shares = (current?.shares || 0) + trade.shares;
+    const cost = (current ? current.shares * current.avgPrice : 0) + trade.shares * trade.price;
+    positions[trade.asset] = {
+      conditionId: trade.conditionId,
+      asset: trade.asset,
+      title: trade.title,
+      slug: trade.slug,
+      eventSlug: trade.eventSlug,
+      outcome: trade.outcome,
+      outcomeIndex: trade.outcomeIndex,
+      shares,
+      avgPrice: cost / shares,
+      curPrice: trade.price,
+      usdSize: shares * trade.price
+    };
+  } else if (current) {
+    const shares = Math.max(current.shares - trade.shares, 0);
+    positions[trade.asset] = { ...current, shares, curPrice: trade.price, usdSize: shares * trade.price };
+  }
+}
+
+/**
+ * Replay trades as a series of copy runs and collect the signals they'd have made
+ * @param {Object[]} trades - Normalized TRADE activity with traderWallet
+ * @param {Object} options
+ * @param {Object[]} options.traders - { wallet, name, edgeScore? }
+ * @param {Map<string, number>} options.edgeScores - lowercase wallet -> edge score
+ * @param {Function} options.allowEvent - event => whether to follow it (category filter)
+ * @param {number} options.windowMinutes
+ * @param {Object} options.rules - See DEFAULT_SIGNAL_RULES
+ * @returns {Object[]} Signals, oldest first
+ */
+export function replaySignals(trades, { traders, edgeScores = new Map(), allowEvent = () => true, windowMinutes = CONFIG.windowMinutes, rules = CONFIG.signalRules } = {}) {
+  const byWallet = new Map(traders.map(t => [t.wallet.toLowerCase(), t]));
+  const windowMs = windowMinutes * MINUTE;
+  const positions = {};
+  let snapshots = {};
+  const signals = [];
+  
+  const sorted = [...trades].sort((a, b) => a.timestamp - b.timestamp);
+  for (let i = 0; i < sorted.length;) {
+    // One copy run covers every trade up to the end of its window
+    const runAt = (Math.floor(sorted[i].timestamp / windowMs) + 1) * windowMs;
+    for (; i < sorted.length && sorted[i].timestamp < runAt; i++) {
+      const wallet = sorted[i].traderWallet.toLowerCase();
+      applyTrade(positions[wallet] ||= {}, sorted[i]);
+    }
+    
+    const next = {};
+    const events = [];
+    for (const [wallet, held] of Object.entries(positions)) {
+      next[wallet] = { positions: snapshotPositions(Object.values(held)) };
+      const trader = byWallet.get(wallet);
+      for (const e of diffPositions(snapshots[wallet]?.positions || {}, next[wallet].positions, { now: runAt })) {
+        events.push({ ...e, traderName: trader.name, traderWallet: trader.wallet });
+      }
+    }
+    
+    signals.push(...buildSignals(events.filter(allowEvent), {
+      holdings: traderHoldings(traders, next),
+      // Conviction is sized against the portfolios before this window's moves
+      traders: traderProfiles(traders, snapshots, edgeScores),
+      recentSignals: signals,
+      rules,
+      now: runAt
+    }));
+    snapshots = next;
+  }
+  return signals;
+}
+
+// First price at or after time, or null past the end of the history
+function priceAfter(history = [], time) {
+  return history.find(p => p.timestamp >= time)?.price ?? null;
+}
+
+// Last price at or before time
+function priceAt(history = [], time) {
+  let price = null;
+  for (const p of history) {
+    if (p.timestamp > time) break;
+    price = p.price;
+  }
+  return price;
+}
+
+// When a market's outcome became known: when it closed, else its scheduled end
+function settledAt(market) {
+  return market?.closedTime ?? market?.endDate ?? null;
+}
+
+/**
+ * Copy signals into a simulated portfolio
+ * @param {Object[]} signals - replaySignals() output
+ * @param {Object} options
+ * @param {Map<string, { timestamp: number, price: number }[]>} options.prices - asset -> price history
+ * @param {Object<string, Object>} options.markets - conditionId -> market, for resolution
+ * @param {number} options.delayMinutes
+ * @param {number} options.slippage
+ * @param {string} options.sizing
+ * @param {number} options.startingCash
+ * @param {number} options.start - Portfolio start time
+ * @param {number} options.end - Final mark; markets that resolve later mark at their price then
+ * @param {Object} options.rules - Stale-price guard settings, see DEFAULT_SIGNAL_RULES
+ * @returns {{ portfolio: Object, summary: Object, fills: Object[] }}
+ */
+export function simulateCopies(signals, { prices, markets = {}, delayMinutes = CONFIG.delayMinutes, slippage = CONFIG.slippage, sizing = CONFIG.sizing, startingCash = CONFIG.startingCash, start, end = Date.now(), rules = CONFIG.signalRules } = {}) {
+  const portfolio = createPortfolio({ startingCash, sizing, now: start });
+  const fills = [];
+  
+  // Settle markets whose outcome was known by time; the rest, including any
+  // resolved after end, mark to history
+  const mark = time => markToMarket(portfolio, p => {
+    const market = markets[p.conditionId];
+    const settled = settledAt(market);
+    const resolved = market?.winningOutcome != null && settled != null && settled <= time;
+    return {
+      price: priceAt(prices.get(p.asset), time),
+      winningOutcome: resolved ? market.winningOutcome : null
+    };
+  }, time);
+  
+  for (const signal of signals) {
+    const executeAt = new Date(signal.timestamp).getTime() + delayMinutes * MINUTE;
+    if (executeAt > end) break;
+    mark(executeAt);
+    
+    const price = priceAfter(prices.get(signal.asset), executeAt);
+    const fill = {
+      signalId: signal.id,
+      signalAt: signal.timestamp,
+      executeAt: new Date(executeAt).toISOString(),
+      market: signal.market,
+      outcome: signal.outcome,
+      side: signal.side,
+      confidence: signal.confidence,
+      traders: signal.traders.map(t => t.name),
+      price
+    };
+    if (price == null) {
+      fills.push({ ...fill, result: 'no price' });
+      continue;
+    }
+    const guarded = guardStalePrice(signal, price, rules);
+    if (guarded.stale === 'dropped') {
+      fills.push({ ...fill, priceDrift: guarded.priceDrift, result: 'stale' });
+      continue;
+    }
+    
+    // Slippage makes buys dearer and sells cheaper, within a tradable price
+    const { opened, closed } = applySignal(portfolio, guarded, {
+      entryPrice: Math.min(price * (1 + slippage), 0.999),
+      exitPrice: Math.max(price * (1 - slippage), 0),
+      now: executeAt
+    });
+    fills.push({
+      ...fill,
+      confidence: guarded.confidence,
+      priceDrift: guarded.priceDrift,
+      result: opened ? 'opened' : closed.length > 0 ? 'closed' : signal.side === 'BUY' ? 'skipped' : 'nothing held'
+    });
+    recordEquity(portfolio, executeAt);
+  }
+  
+  mark(end);
+  recordEquity(portfolio, end);
+  return { portfolio, summary: summarizePortfolio(portfolio), fills };
+}
+
+function loadJson(path) {
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    console.log(`Could not load ${path}: ${err.message}`);
+    return null;
+  }
+}
+
+// Wallets from args, else following.json, else the edge watchlist
+function loadTraders(wallets) {
+  if (wallets.length > 0) {
+    return wallets.map(w => ({ wallet: w, name: w.slice(0, 10) }));
+  }
+  const following = loadJson(FOLLOWING_FILE);
+  if (following) return following;
+  return (loadJson(EDGE_WATCHLIST_FILE)?.traders || []).map(t => ({ wallet: t.wallet, name: t.userName, edgeScore: t.edgeScore }));
+}
+
+// Trades in [start, end), and the time history was cut off at if maxActivity ran out first
+async function fetchTrades(trader, start, end) {
+  try {
+    const raw = await collect(iterateActivity(trader.wallet, { maxItems: CONFIG.maxActivity, since: start }));
+    const { items } = normalizeAll(raw, normalizeActivity, { source: 'activity' });
+    const trades = items
+      .filter(a => a.timestamp < end && a.type === 'TRADE' && (a.side === 'BUY' || a.side === 'SELL') && a.asset && a.shares > 0 && a.price > 0)
+      .map(a => ({ ...a, traderWallet: trader.wallet, traderName: trader.name }));
+    const oldest = Math.min(...items.map(a => a.timestamp));
+    return { trades, truncatedAt: raw.length >= CONFIG.maxActivity && oldest > start ? oldest : null };
+  } catch (err) {
+    console.error(`Activity fetch failed for ${trader.name}: ${err.message}`);
+    return { trades: [], truncatedAt: null };
+  }
+}
+
+function signedUsd(n) {
+  return `${n >= 0 ? '+' : '-'}$${Math.abs(Math.round(n)).toLocaleString()}`;
+}
+
+function cents(p) {
+  return p != null ? `${(p * 100).toFixed(1)}¢` : '-';
+}
+
+function printResults({ options, end, traders, truncated, signals, summary, portfolio, fills }) {
+  const filled = fills.filter(f => f.result === 'opened' || f.result === 'closed').length;
+  
+  console.log('\n' + '='.repeat(80));
+  console.log(`🔁 BACKTEST: ${traders.length} trader${traders.length === 1 ? '' : 's'}, ${options.days} days to ${new Date(end).toISOString().slice(0, 16).replace('T', ' ')}`);
+  console.log('='.repeat(80));
+  console.log(`  Delay ${options.delayMinutes}m, slippage ${(options.slippage * 100).toFixed(1)}%, ${options.windowMinutes}m runs, sizing ${options.sizing}`);
+  if (options.useEdgeData) {
+    console.log('  ⚠️  LOOK-AHEAD: weighted and category-filtered by today\'s edge-traders.json,');
+    console.log('     which was scored on this history - expect results better than live copying');
+  }
+  for (const t of truncated) {
+    console.log(`  ⚠️  ${t.name}: only trades since ${t.truncatedAt.slice(0, 16).replace('T', ' ')} (${CONFIG.maxActivity}-record activity cap)`);
+  }
+  console.log(`  Signals:      ${signals.length} (${filled} filled, ${fills.filter(f => f.result === 'stale').length} stale, ${fills.filter(f => f.result === 'no price').length} without price data)`);
+  console.log(`  Return:       ${summary.returnPct >= 0 ? '+' : ''}${(summary.returnPct * 100).toFixed(1)}% ($${summary.startingCash.toLocaleString()} → $${Math.round(summary.equity).toLocaleString()})`);
+  console.log(`  Realized:     ${signedUsd(summary.realizedPnl)}   Unrealized: ${signedUsd(summary.unrealizedPnl)}`);
+  console.log(`  Max drawdown: ${(summary.maxDrawdownPct * 100).toFixed(1)}%`);
+  console.log(`  Hit rate:     ${summary.winRate != null ? `${(summary.winRate * 100).toFixed(0)}%` : '-'} (${summary.wins}W/${summary.losses}L, ${summary.openPositions} still open)`);
+  
+  const trades = [
+    ...portfolio.closed,
+    ...portfolio.positions.map(p => ({ ...p, exitPrice: p.markPrice, pnl: p.shares * (p.markPrice ?? p.entryPrice) - p.cost, reason: 'open' }))
+  ].sort((a, b) => a.openedAt.localeCompare(b.openedAt));
+  
+  console.log(`\n📒 TRADE LOG (${trades.length})`);
+  console.log('-'.repeat(80));
+  console.log('Opened'.padEnd(13) + 'Market'.padEnd(24) + 'Outcome'.padEnd(9) + 'Conf'.padStart(5) + 'Entry'.padStart(8) + 'Exit'.padStart(8) + 'PnL'.padStart(9) + '  Closed by');
+  console.log('-'.repeat(80));
+  for (const t of trades) {
+    console.log(
+      t.openedAt.slice(5, 16).replace('T', ' ').padEnd(13) +
+      (t.market || t.conditionId).slice(0, 22).padEnd(24) +
+      String(t.outcome).slice(0, 8).padEnd(9) +
+      `${Math.round(t.confidence * 100)}%`.padStart(5) +
+      cents(t.entryPrice).padStart(8) +
+      cents(t.exitPrice).padStart(8) +
+      signedUsd(t.pnl).padStart(9) +
+      `  ${t.reason}`
+    );
+  }
+}
+
+/**
+ * Run a backtest and save it to data/backtest.json
+ */
+export async function runBacktest(options) {
+  const traders = loadTraders(options.wallets);
+  if (traders.length === 0) {
+    console.log('No traders to backtest. Pass wallets or run: npm run watchlist:curate');
+    return null;
+  }
+  // Default end is the last window boundary, so a rerun soon after asks for the same data
+  const windowMs = options.windowMinutes * MINUTE;
+  const end = options.end ?? Math.floor(Date.now() / windowMs) * windowMs;
+  const start = end - options.days * 24 * 60 * MINUTE;
+  
+  console.log(`Loading ${options.days} days of trades for ${traders.length} traders...`);
+  const trades = [];
+  const truncated = [];
+  for (const trader of traders) {
+    const fetched = await fetchTrades(trader, start, end);
+    trades.push(...fetched.trades);
+    if (fetched.truncatedAt != null) {
+      const truncatedAt = new Date(fetched.truncatedAt).toISOString();
+      console.log(`  ${trader.name}: ${fetched.trades.length} trades - ⚠️  activity cap hit, nothing before ${truncatedAt.slice(0, 16).replace('T', ' ')}`);
+      truncated.push({ wallet: trader.wallet, name: trader.name, truncatedAt });
+    } else {
+      console.log(`  ${trader.name}: ${fetched.trades.length} trades`);
+    }
+  }
+  
+  // Today's edge data is scored on the history being replayed - only used when asked for
+  const edge = options.useEdgeData ? loadJson(EDGE_FILE) : null;
+  const edgeField = field => new Map((edge?.traders || [])
+    .filter(t => t[field] != null)
+    .flatMap(t => (t.wallets || [t.wallet]).map(w => [w.toLowerCase(), t[field]])));
+  const specializations = edgeField('specialization');
+  const markets = await getMarkets(trades.map(t => t.conditionId));
+  
+  const signals = replaySignals(trades, {
+    traders: options.useEdgeData ? traders : traders.map(({ edgeScore, ...t }) => t),
+    edgeScores: edgeField('edgeScore'),
+    allowEvent: options.useEdgeData
+      ? e => hasProvenEdge(specializations.get(e.traderWallet.toLowerCase()), categoryOf(markets[e.conditionId]))
+      : undefined,
+    windowMinutes: options.windowMinutes
+  });
+  
+  console.log(`Replayed ${signals.length} signals; loading price history...`);
+  const prices = new Map();
+  for (const asset of new Set(signals.map(s => s.asset).filter(Boolean))) {
+    try {
+      prices.set(asset, await fetchPriceHistory(asset, { startTs: start, endTs: end, fidelity: CONFIG.priceFidelity }));
+    } catch (err) {
+      console.error(`Price history failed for ${asset.slice(0, 10)}: ${err.message}`);
+    }
+  }
+  
+  const { portfolio, summary, fills } = simulateCopies(signals, {
+    prices,
+    markets,
+    delayMinutes: options.delayMinutes,
+    slippage: options.slippage,
+    sizing: options.sizing,
+    startingCash: CONFIG.startingCash,
+    start,
+    end
+  });
+  
+  printResults({ options, end, traders, truncated, signals, summary, portfolio, fills });
+  
+  const result = {
+    ranAt: new Date().toISOString(),
+    end: new Date(end).toISOString(),
+    options,
+    traders: traders.map(t => ({ wallet: t.wallet, name: t.name })),
+    // Traders whose history stopped short of the start (see CONFIG.maxActivity)
+    truncated,
+    lookAhead: options.useEdgeData,
+    summary,
+    fills,
+    portfolio
+  };
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+  writeFileSync(RESULTS_FILE, JSON.stringify(result, null, 2));
+  console.log(`\nSaved to ${RESULTS_FILE}`);
+  if (getApiMode() === 'record') {
+    console.log(`Replay offline with: --replay --end=${result.end}`);
+  }
+  return result;
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2).filter(a => !['--record', '--replay', '--no-cache'].includes(a));
+  let options;
+  try {
+    options = parseBacktestArgs(args);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  runBacktest(options)
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,67 @@
+/**
+ * Calibration - skill above the market's implied probability
+ *
+ * Buying at 95¢ implies a 95% chance of winning, so a 90% win rate there is
+ * worse than the market, not edge. Each closed position held to resolution
+ * is scored against its avgPrice: expected win rate is the mean entry price,
+ * excess is what the trader won above that. Positions sold before resolution
+ * are left out - a profitable exit at 35¢ after buying at 30¢ says nothing
+ * about the 30% the entry implied. Pure functions - safe for api/.
+ */
+
+// A closed position's last price settles at 0 or 1 once its market resolves
+const RESOLVED_LOW = 0.01;
+const RESOLVED_HIGH = 0.99;
+
+// Entry price buckets
+export const PRICE_BUCKETS = [
+  { name: 'longshot', label: 'Longshots (<35¢)', min: 0, max: 0.35 },
+  { name: 'coinflip', label: 'Coin-flips (35-65¢)', min: 0.35, max: 0.65 },
+  { name: 'favorite', label: 'Favorites (>65¢)', min: 0.65, max: 1 }
+];
+
+function summarize(trades) {
+  const n = trades.length;
+  if (n === 0) {
+    return { trades: 0, expectedWinRate: null, realizedWinRate: null, excessWinRate: null, alphaZ: null };
+  }
+  
+  let expected = 0;
+  let wins = 0;
+  let variance = 0;
+  for (const { price, won } of trades) {
+    expected += price;
+    wins += won;
+    variance += price * (1 - price);
+  }
+  
+  return {
+    trades: n,
+    expectedWinRate: expected / n,
+    realizedWinRate: wins / n,
+    // Mean of (outcome - price): cents per share won above fair value
+    excessWinRate: (wins - expected) / n,
+    // Wins above expectation in standard deviations, so sample size counts
+    alphaZ: variance > 0 ? (wins - expected) / Math.sqrt(variance) : null
+  };
+}
+
+/**
+ * Calibration metrics for normalized closed positions. Only positions held
+ * to resolution (curPrice settled at 0 or 1) with a usable entry price count;
+ * the outcome is the settled price, not the sign of realized PnL.
+ * @returns {{ trades: number, expectedWinRate: number|null, realizedWinRate: number|null, excessWinRate: number|null, alphaZ: number|null, buckets: Object<string, Object> }}
+ */
+export function calculateCalibration(closedPositions) {
+  const trades = closedPositions
+    .filter(p => p.curPrice != null && (p.curPrice <= RESOLVED_LOW || p.curPrice >= RESOLVED_HIGH))
+    .filter(p => p.avgPrice > 0 && p.avgPrice < 1)
+    .map(p => ({ price: p.avgPrice, won: p.curPrice >= RESOLVED_HIGH ? 1 : 0 }));
+  
+  const buckets = {};
+  for (const bucket of PRICE_BUCKETS) {
+    buckets[bucket.name] = summarize(trades.filter(t => t.price >= bucket.min && t.price < bucket.max));
+  }
+  
+  return { ...summarize(trades), buckets };
+}
@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * Wallet classifier - flags market makers, bots and wash traders
+ *
+ * Their volume isn't directional bets, so it inflates size scores, drags
+ * efficiency toward zero and floods whale alerts. Each flag carries a
+ * plain-English reason and the numbers behind it. Results are cached in
+ * data/wallet-flags.json for CLASSIFICATION_MAX_AGE.
+ *
+ * Callers exclude flagged wallets by default; pass --include-flagged (or
+ * set INCLUDE_FLAGGED_WALLETS=1) to keep them.
+ *
+ * Usage:
+ *   node src/classifier.js <wallet>   - Classify one wallet
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { iterateActivity, iteratePositions, collect } from './api.js';
+import { normalizeAll, normalizeActivity, normalizePosition } from './models.js';
+
+const DATA_DIR = './data';
+const FLAGS_FILE = `${DATA_DIR}/wallet-flags.json`;
+
+// Reclassify wallets older than this (ms)
+const CLASSIFICATION_MAX_AGE = 24 * 60 * 60 * 1000;
+
+export const INCLUDE_FLAGGED = process.argv.includes('--include-flagged') || !!process.env.INCLUDE_FLAGGED_WALLETS;
+
+export const THRESHOLDS = {
+  // Activity records to read per wallet
+  activitySample: 500,
+  // Market maker: markets with minSideSwitches buy/sell flips, each within quoteWindow
+  quoteWindow: 60 * 60 * 1000,
+  minSideSwitches: 3,
+  minTwoSidedMarkets: 5,
+  twoSidedShare: 0.5,
+  // Bot: trades per active day, with PnL / volume under maxBotEfficiency
+  botTradesPerDay: 100,
+  maxBotEfficiency: 0.01,
+  // Wash trading: buy and sell of the same size and price within the window
+  roundTripWindow: 10 * 60 * 1000,
+  roundTripSizeTolerance: 0.1,
+  roundTripPriceTolerance: 0.01,
+  minRoundTrips: 5,
+  roundTripShare: 0.2
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function pct(n) {
+  return `${Math.round(n * 100)}%`;
+}
+
+/**
+ * Direction of a trade relative to outcome 0: buying YES and selling NO are the same bet
+ * @returns {1|-1}
+ */
+export function tradeDirection(trade) {
+  const buy = trade.side === 'BUY' ? 1 : -1;
+  return trade.outcomeIndex === 1 ? -buy : buy;
+}
+
+// Repeatedly switching sides in a market within minutes - quoting, not betting
+function detectMarketMaking(trades, positions, t) {
+  const byMarket = new Map();
+  for (const trade of trades) {
+    if (!trade.conditionId) continue;
+    if (!byMarket.has(trade.conditionId)) byMarket.set(trade.conditionId, []);
+    byMarket.get(trade.conditionId).push(trade);
+  }
+  
+  const active = [...byMarket.values()].filter(list => list.length >= 2);
+  const twoSided = active.filter(list => {
+    list.sort((a, b) => a.timestamp - b.timestamp);
+    let switches = 0;
+    for (let i = 1; i < list.length; i++) {
+      if (tradeDirection(list[i]) !== tradeDirection(list[i - 1]) && list[i].timestamp - list[i - 1].timestamp <= t.quoteWindow) {
+        switches++;
+      }
+    }
+    return switches >= t.minSideSwitches;
+  });
+  
+  const held = new Map();
+  for (const p of positions) {
+    if (!p.conditionId) continue;
+    held.set(p.conditionId, (held.get(p.conditionId) || new Set()).add(p.outcomeIndex ?? p.outcome));
+  }
+  const bothOutcomesHeld = [...held.values()].filter(outcomes => outcomes.size > 1).length;
+  
+  const share = active.length > 0 ? twoSided.length / active.length : 0;
+  if (twoSided.length < t.minTwoSidedMarkets || share < t.twoSidedShare) return null;
+  
+  return {
+    type: 'market-maker',
+    reason: `Quoted both sides (${t.minSideSwitches}+ quick side switches) in ${twoSided.length} of ${active.length} active markets (${pct(share)})` +
+      (bothOutcomesHeld > 0 ? `, holds both outcomes in ${bothOutcomesHeld}` : ''),
+    evidence: { twoSidedMarkets: twoSided.length, activeMarkets: active.length, bothOutcomesHeld }
+  };
+}
+
+// Very high trade counts with tiny margins
+function detectBot(trades, trader, t) {
+  if (trades.length < 2) return null;
+  const days = new Set(trades.map(trade => Math.floor(trade.timestamp / DAY))).size;
+  const perDay = trades.length / days;
+  const efficiency = trader?.volume > 0 ? trader.pnl / trader.volume : null;
+  
+  if (perDay < t.botTradesPerDay) return null;
+  if (efficiency != null && Math.abs(efficiency) >= t.maxBotEfficiency) return null;
+  
+  return {
+    type: 'bot',
+    reason: `${Math.round(perDay)} trades per active day` +
+      (efficiency != null ? ` at ${(efficiency * 100).toFixed(2)}% PnL/volume` : ''),
+    evidence: { tradesPerDay: Math.round(perDay), activeDays: days, efficiency }
+  };
+}
+
+// Buy and sell of about the same size and price on one token within minutes
+function detectWashTrading(trades, t) {
+  const byAsset = new Map();
+  for (const trade of trades) {
+    if (!trade.asset || !trade.shares || trade.price == null) continue;
+    if (!byAsset.has(trade.asset)) byAsset.set(trade.asset, []);
+    byAsset.get(trade.asset).push(trade);
+  }
+  
+  let roundTrips = 0;
+  for (const assetTrades of byAsset.values()) {
+    assetTrades.sort((a, b) => a.timestamp - b.timestamp);
+    const used = new Set();
+    for (let i = 0; i < assetTrades.length; i++) {
+      if (used.has(i)) continue;
+      const a = assetTrades[i];
+      for (let j = i + 1; j < assetTrades.length; j++) {
+        const b = assetTrades[j];
+        if (b.timestamp - a.timestamp > t.roundTripWindow) break;
+        if (used.has(j) || b.side === a.side) continue;
+        const sameSize = Math.abs(a.shares - b.shares) <= a.shares * t.roundTripSizeTolerance;
+        const samePrice = Math.abs(a.price - b.price) <= t.roundTripPriceTolerance;
+        if (sameSize && samePrice) {
+          used.add(i);
+          used.add(j);
+          roundTrips++;
+          break;
+        }
+      }
+    }
+  }
+  
+  const share = trades.length > 0 ? (roundTrips * 2) / trades.length : 0;
+  if (roundTrips < t.minRoundTrips || share < t.roundTripShare) return null;
+  
+  return {
+    type: 'wash-trading',
+    reason: `${roundTrips} buy/sell round trips at the same size and price within ` +
+      `${t.roundTripWindow / 60000} minutes (${pct(share)} of trades)`,
+    evidence: { roundTrips, tradeShare: share }
+  };
+}
+
+/**
+ * Classify a wallet from its activity and open positions
+ * @param {Object} data
+ * @param {Object[]} data.activity - Normalized activity
+ * @param {Object[]} data.positions - Normalized open positions
+ * @param {{ pnl: number, volume: number }} data.trader - Leaderboard entry, for efficiency
+ * @returns {{ flagged: boolean, flags: { type: string, reason: string, evidence: Object }[] }}
+ */
+export function classifyWallet({ activity = [], positions = [], trader = null }, thresholds = THRESHOLDS) {
+  const t = { ...THRESHOLDS, ...thresholds };
+  const trades = activity.filter(a => a.type === 'TRADE' && (a.side === 'BUY' || a.side === 'SELL'));
+  
+  const flags = [
+    detectMarketMaking(trades, positions, t),
+    detectBot(trades, trader, t),
+    detectWashTrading(trades, t)
+  ].filter(Boolean);
+  
+  return { flagged: flags.length > 0, flags };
+}
+
+function loadFlags() {
+  if (!existsSync(FLAGS_FILE)) return {};
+  return JSON.parse(readFileSync(FLAGS_FILE, 'utf-8'));
+}
+
+function saveFlags(flags) {
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+  writeFileSync(FLAGS_FILE, JSON.stringify(flags, null, 2));
+}
+
+function isStale(entry) {
+  return !entry || Date.now() - new Date(entry.classifiedAt).getTime() > CLASSIFICATION_MAX_AGE;
+}
+
+// Normalized activity (newest first) and open positions for one wallet
+async function fetchWalletData(wallet) {
+  const [activityRaw, positionsRaw] = await Promise.all([
+    collect(iterateActivity(wallet, { maxItems: THRESHOLDS.activitySample })),
+    collect(iteratePositions(wallet, { maxItems: 500 }))
+  ]);
+  return {
+    activity: normalizeAll(activityRaw, normalizeActivity, { source: 'activity' }).items,
+    positions: normalizeAll(positionsRaw, normalizePosition, { source: 'position' }).items
+  };
+}
+
+/**
+ * Classify wallets, using cached results where fresh. Wallets whose data
+ * can't be fetched are left unflagged.
+ * @param {{ wallet: string, pnl?: number, volume?: number }[]} traders
+ * @param {Object} options
+ * @param {boolean} options.refresh - Reclassify even fresh entries
+ * @param {Function} options.fetchWallet - wallet => Promise<{ activity, positions }>, for callers
+ *   that fetch the same data anyway; activity past THRESHOLDS.activitySample is ignored
+ * @returns {Promise<Object<string, { flagged: boolean, flags: Object[], classifiedAt: string }>>} wallet -> classification
+ */
+export async function classifyWallets(traders, { refresh = false, fetchWallet = fetchWalletData } = {}) {
+  const cache = loadFlags();
+  const result = {};
+  let updated = false;
+  
+  for (const trader of traders) {
+    const key = trader.wallet.toLowerCase();
+    if (!refresh && !isStale(cache[key])) {
+      result[trader.wallet] = cache[key];
+      continue;
+    }
+    
+    try {
+      const { activity, positions } = await fetchWallet(trader.wallet);
+      const classification = classifyWallet({
+        activity: activity.slice(0, THRESHOLDS.activitySample),
+        positions,
+        trader: trader.volume != null ? trader : null
+      });
+      cache[key] = { ...classification, classifiedAt: new Date().toISOString() };
+      result[trader.wallet] = cache[key];
+      updated = true;
+    } catch (err) {
+      console.error(`Could not classify ${trader.wallet}: ${err.message}`);
+    }
+  }
+  
+  if (updated) {
+    saveFlags(cache);
+  }
+  return result;
+}
+
+/**
+ * Split traders into kept and excluded, logging each exclusion with its reasons.
+ * A confirmed cluster (a trader with `wallets`) has every member classified,
+ * and one flagged member excludes the whole cluster: its PnL and volume are
+ * summed across members, so a market-making or wash-trading wallet would
+ * distort the rest. Nothing is excluded when INCLUDE_FLAGGED is set.
+ * @param {Object[]} traders - Need `wallet`; `wallets` for clusters; `userName`/`name` for logging
+ * @param {Object} options
+ * @param {Function} options.fetchWallet - See classifyWallets
+ * @returns {Promise<{ kept: Object[], excluded: { wallet: string, wallets: string[], userName: string, flags: Object[] }[] }>}
+ */
+export async function excludeFlaggedWallets(traders, { fetchWallet } = {}) {
+  if (INCLUDE_FLAGGED) {
+    return { kept: traders, excluded: [] };
+  }
+  
+  // A cluster's merged PnL and volume aren't any one member's, so members are classified without them
+  const toClassify = traders.flatMap(t => t.wallets?.length > 1 ? t.wallets.map(wallet => ({ wallet })) : [t]);
+  const classifications = await classifyWallets(toClassify, { fetchWallet });
+  const kept = [];
+  const excluded = [];
+  for (const trader of traders) {
+    const wallets = trader.wallets?.length > 0 ? trader.wallets : [trader.wallet];
+    const flagged = wallets.filter(w => classifications[w]?.flagged);
+    if (flagged.length > 0) {
+      const name = trader.userName || trader.name || trader.wallet.slice(0, 10);
+      const flags = flagged.flatMap(w => classifications[w].flags.map(f => wallets.length > 1 ? { ...f, wallet: w } : f));
+      excluded.push({ wallet: trader.wallet, wallets, userName: name, flags });
+    } else {
+      kept.push(trader);
+    }
+  }
+  
+  for (const { userName, flags } of excluded) {
+    const reasons = flags.map(f => `${f.wallet ? `${f.wallet.slice(0, 10)} ` : ''}${f.type} - ${f.reason}`);
+    console.log(`  ⛔ Excluding ${userName}: ${reasons.join('; ')}`);
+  }
+  if (excluded.length > 0) {
+    console.log(`Excluded ${excluded.length} flagged wallets (--include-flagged to keep them)`);
+  }
+  return { kept, excluded };
+}
+
+async function showWallet(wallet) {
+  const classification = (await classifyWallets([{ wallet }], { refresh: true }))[wallet];
+  if (!classification) return;
+  if (!classification.flagged) {
+    console.log(`${wallet}: no flags`);
+    return;
+  }
+  console.log(`${wallet}:`);
+  for (const flag of classification.flags) {
+    console.log(`  ${flag.type}: ${flag.reason}`);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2).filter(a => !a.startsWith('--'));
+  
+  if (args[0]) {
+    showWallet(args[0]).catch(console.error);
+  } else {
+    console.log('Usage: node src/classifier.js <wallet>');
+  }
+}
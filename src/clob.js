@@ -0,0 +1,150 @@
+/**
+ * CLOB client - live prices, order book and price history per outcome token
+ *
+ * Token ids are the `asset` field on positions/activity (or market.tokenIds).
+ * Requests go through the shared request layer, so --record/--replay
+ * cassettes double as offline fixtures for this module.
+ */
+
+import { request } from './api.js';
+import { toMillis } from './models.js';
+
+const CLOB_URL = 'https://clob.polymarket.com';
+
+function num(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Current midpoint price (0-1) for a token
+ */
+export async function fetchMidpoint(tokenId) {
+  const url = `${CLOB_URL}/midpoint?token_id=${tokenId}`;
+  const data = await request(url, { endpoint: 'midpoint', label: 'Midpoint' });
+  return num(data?.mid);
+}
+
+/**
+ * Order book for a token, sorted best-first on both sides
+ * @returns {Promise<{ bids: {price: number, size: number}[], asks: {price: number, size: number}[], bestBid: number|null, bestAsk: number|null, mid: number|null, spread: number|null, bidDepth: number, askDepth: number }>}
+ */
+export async function fetchOrderBook(tokenId) {
+  const url = `${CLOB_URL}/book?token_id=${tokenId}`;
+  const data = await request(url, { endpoint: 'book', label: 'Order book' });
+  
+  const levels = side => (data?.[side] || [])
+    .map(l => ({ price: num(l.price), size: num(l.size) }))
+    .filter(l => l.price != null && l.size != null);
+  const bids = levels('bids').sort((a, b) => b.price - a.price);
+  const asks = levels('asks').sort((a, b) => a.price - b.price);
+  
+  const bestBid = bids[0]?.price ?? null;
+  const bestAsk = asks[0]?.price ?? null;
+  const hasBoth = bestBid != null && bestAsk != null;
+  
+  return {
+    bids,
+    asks,
+    bestBid,
+    bestAsk,
+    mid: hasBoth ? (bestBid + bestAsk) / 2 : null,
+    spread: hasBoth ? bestAsk - bestBid : null,
+    // USD resting on each side
+    bidDepth: bids.reduce((s, l) => s + l.price * l.size, 0),
+    askDepth: asks.reduce((s, l) => s + l.price * l.size, 0)
+  };
+}
+
+/**
+ * Historical price series for a token
+ * @param {string} tokenId
+ * @param {Object} options
+ * @param {'1h'|'6h'|'1d'|'1w'|'1m'|'max'} options.interval
+ * @param {number} options.fidelity - Resolution in minutes
+ * @param {Date|number} options.startTs - Overrides interval when set
+ * @param {Date|number} options.endTs
+ * @returns {Promise<{ timestamp: number, price: number }[]>} ms timestamps, oldest first
+ */
+export async function fetchPriceHistory(tokenId, { interval = '1w', fidelity = 60, startTs, endTs } = {}) {
+  const params = new URLSearchParams({ market: tokenId, fidelity: String(fidelity) });
+  if (startTs != null) {
+    params.set('startTs', String(Math.floor(new Date(startTs).getTime() / 1000)));
+    params.set('endTs', String(Math.floor(new Date(endTs ?? Date.now()).getTime() / 1000)));
+  } else {
+    params.set('interval', interval);
+  }
+  
+  const url = `${CLOB_URL}/prices-history?${params}`;
+  const data = await request(url, { endpoint: 'prices-history', label: 'Price history' });
+  
+  return (data?.history || [])
+    .map(point => ({ timestamp: toMillis(point.t), price: num(point.p) }))
+    .filter(point => point.timestamp != null && point.price != null)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Estimate the fill for a market order of usdSize against the book.
+ * BUY walks the asks, SELL walks the bids.
+ * @returns {{ avgPrice: number|null, slippage: number|null, filledUsd: number, unfilledUsd: number }}
+ *   slippage is avgPrice relative to the best price (0.02 = 2% worse)
+ */
+export function estimateSlippage(book, usdSize, side = 'BUY') {
+  const levels = side === 'BUY' ? book.asks : book.bids;
+  let remaining = usdSize;
+  let shares = 0;
+  
+  for (const level of levels) {
+    if (remaining <= 0) break;
+    const levelUsd = level.price * level.size;
+    const take = Math.min(remaining, levelUsd);
+    shares += take / level.price;
+    remaining -= take;
+  }
+  
+  const filledUsd = usdSize - remaining;
+  const avgPrice = shares > 0 ? filledUsd / shares : null;
+  const best = levels[0]?.price ?? null;
+  
+  return {
+    avgPrice,
+    slippage: avgPrice != null && best ? Math.abs(avgPrice - best) / best : null,
+    filledUsd,
+    unfilledUsd: remaining
+  };
+}
+
+/**
+ * Current price context for a token, for alerts and signals.
+ * Falls back to the midpoint endpoint when the book is one-sided.
+ * @param {string} tokenId
+ * @param {Object} options
+ * @param {number} options.entryPrice - Trader's price, to report the move since
+ * @param {number} options.copySize - USD size to estimate slippage for
+ */
+export async function getPriceContext(tokenId, { entryPrice = null, copySize = null } = {}) {
+  const book = await fetchOrderBook(tokenId);
+  const currentPrice = book.mid ?? await fetchMidpoint(tokenId);
+  
+  return {
+    currentPrice,
+    bestBid: book.bestBid,
+    bestAsk: book.bestAsk,
+    spread: book.spread,
+    askDepth: Math.round(book.askDepth),
+    bidDepth: Math.round(book.bidDepth),
+    moveSinceEntry: entryPrice != null && currentPrice != null ? currentPrice - entryPrice : null,
+    copyFill: copySize ? estimateSlippage(book, copySize, 'BUY') : null
+  };
+}
+
+/**
+ * "entered at 42¢, now 55¢" - pass verb "exited" for sells
+ */
+export function formatPriceMove(entryPrice, currentPrice, verb = 'entered') {
+  if (entryPrice == null || currentPrice == null) return null;
+  const cents = p => `${(p * 100).toFixed(1)}¢`;
+  const move = (currentPrice - entryPrice) * 100;
+  return `${verb} at ${cents(entryPrice)}, now ${cents(currentPrice)} (${move >= 0 ? '+' : ''}${move.toFixed(1)}¢)`;
+}
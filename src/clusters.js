@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+/**
+ * Linked-wallet clustering - one trader, several proxy wallets
+ *
+ * Wallets from the trader index (data/traders.json) are linked when they
+ * repeatedly trade the same market, on the same side, within seconds of
+ * each other. Linked wallets are grouped into clusters, each with a
+ * confidence score and the co-trades behind it, saved to data/clusters.json.
+ *
+ * Clusters start out pending. Once confirmed, edge-detector scores the
+ * cluster as one trader and copy-trader follows all of its wallets as one.
+ *
+ * Usage:
+ *   node src/clusters.js detect [maxWallets]   - Find clusters among the top traders
+ *   node src/clusters.js list                  - Show clusters and their evidence
+ *   node src/clusters.js confirm <id>          - Treat a cluster as one trader
+ *   node src/clusters.js reject <id>           - Dismiss a cluster
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { iterateActivity, collect } from './api.js';
+import { normalizeAll, normalizeActivity } from './models.js';
+import { tradeDirection } from './classifier.js';
+
+const DATA_DIR = './data';
+const TRADERS_FILE = `${DATA_DIR}/traders.json`;
+const CLUSTERS_FILE = `${DATA_DIR}/clusters.json`;
+
+const CONFIG = {
+  // Traders from the index to compare, by best PnL across periods
+  maxWallets: 200,
+  // Activity records per wallet
+  activitySample: 500,
+  // Same market and side within this many ms counts as a co-trade
+  coTradeWindow: 30 * 1000,
+  // Minimum evidence for a link between two wallets
+  minCoTrades: 5,
+  minMarkets: 3,
+  minConfidence: 0.3
+};
+
+function loadTraderIndex() {
+  if (!existsSync(TRADERS_FILE)) return [];
+  return JSON.parse(readFileSync(TRADERS_FILE, 'utf-8'));
+}
+
+function bestPnl(trader) {
+  return Math.max(0, ...Object.values(trader.rankings || {}).map(r => r.pnl || 0));
+}
+
+export function loadClusters() {
+  if (!existsSync(CLUSTERS_FILE)) return { clusters: [] };
+  return JSON.parse(readFileSync(CLUSTERS_FILE, 'utf-8'));
+}
+
+function saveClusters(data) {
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+  writeFileSync(CLUSTERS_FILE, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Confirmed clusters by member wallet (lowercased)
+ * @returns {Map<string, { id: string, primary: string, wallets: string[] }>}
+ */
+export function loadConfirmedClusters() {
+  const byWallet = new Map();
+  for (const cluster of loadClusters().clusters) {
+    if (cluster.status !== 'confirmed') continue;
+    const entry = { id: cluster.id, primary: cluster.primary, wallets: cluster.wallets.map(w => w.wallet) };
+    for (const wallet of entry.wallets) {
+      byWallet.set(wallet.toLowerCase(), entry);
+    }
+  }
+  return byWallet;
+}
+
+/**
+ * Collapse leaderboard entries that belong to one confirmed cluster into a
+ * single entry: the highest-PnL member's identity, summed PnL and volume,
+ * and `wallets` listing every member so callers fetch all of them.
+ * Members missing from `entries` add wallets but no PnL or volume.
+ * @param {{ wallet: string, userName: string, pnl: number, volume: number }[]} entries
+ * @param {Map} clusters - From loadConfirmedClusters
+ */
+export function mergeClusterEntries(entries, clusters = loadConfirmedClusters()) {
+  // Each cluster takes the place of its first member, so ordering is kept
+  const groups = new Map();
+  const ordered = [];
+  for (const entry of entries) {
+    const cluster = clusters.get(entry.wallet.toLowerCase());
+    if (!cluster) {
+      ordered.push(entry);
+      continue;
+    }
+    if (!groups.has(cluster.id)) {
+      groups.set(cluster.id, { cluster, members: [] });
+      ordered.push(groups.get(cluster.id));
+    }
+    groups.get(cluster.id).members.push(entry);
+  }
+  
+  const isGroup = new Set(groups.values());
+  return ordered.map(item => {
+    if (!isGroup.has(item)) return item;
+    const { cluster, members } = item;
+    members.sort((a, b) => b.pnl - a.pnl);
+    const lead = members[0];
+    return {
+      ...lead,
+      userName: cluster.wallets.length > 1 ? `${lead.userName} +${cluster.wallets.length - 1}` : lead.userName,
+      pnl: members.reduce((s, m) => s + m.pnl, 0),
+      volume: members.reduce((s, m) => s + m.volume, 0),
+      clusterId: cluster.id,
+      wallets: cluster.wallets
+    };
+  });
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : null;
+}
+
+/**
+ * Links between wallets that co-trade: same market, same side, within
+ * coTradeWindow. Confidence is market breadth (1 - e^(-markets/4), so one
+ * lucky market can't carry it) times overlap (twice the share of the
+ * smaller wallet's trades that are co-trades, capped at 1).
+ * @param {Map<string, Object[]>} tradesByWallet - wallet -> normalized trades
+ */
+export function findLinks(tradesByWallet, config = CONFIG) {
+  const groups = new Map();
+  for (const [wallet, trades] of tradesByWallet) {
+    for (const trade of trades) {
+      const key = `${trade.conditionId}:${tradeDirection(trade)}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ ...trade, wallet });
+    }
+  }
+  
+  const pairs = new Map();
+  for (const trades of groups.values()) {
+    trades.sort((a, b) => a.timestamp - b.timestamp);
+    for (let i = 0; i < trades.length; i++) {
+      for (let j = i + 1; j < trades.length; j++) {
+        const lag = trades[j].timestamp - trades[i].timestamp;
+        if (lag > config.coTradeWindow) break;
+        if (trades[j].wallet === trades[i].wallet) continue;
+        
+        const [a, b] = [trades[i].wallet, trades[j].wallet].sort();
+        const key = `${a}|${b}`;
+        if (!pairs.has(key)) pairs.set(key, { wallets: [a, b], episodes: new Map() });
+        // One co-trade per market per window, however many fills it took
+        const episode = `${trades[i].conditionId}:${Math.floor(trades[i].timestamp / config.coTradeWindow)}`;
+        if (!pairs.get(key).episodes.has(episode)) {
+          pairs.get(key).episodes.set(episode, { trade: trades[i], lag });
+        }
+      }
+    }
+  }
+  
+  const links = [];
+  for (const { wallets, episodes } of pairs.values()) {
+    const coTrades = [...episodes.values()];
+    const markets = new Set(coTrades.map(c => c.trade.conditionId)).size;
+    if (coTrades.length < config.minCoTrades || markets < config.minMarkets) continue;
+    
+    const smaller = Math.min(...wallets.map(w => tradesByWallet.get(w).length));
+    const overlap = Math.min(1, (2 * coTrades.length) / smaller);
+    const breadth = 1 - Math.exp(-markets / 4);
+    const confidence = Math.round(breadth * overlap * 100) / 100;
+    if (confidence < config.minConfidence) continue;
+    
+    links.push({
+      wallets,
+      confidence,
+      coTrades: coTrades.length,
+      markets,
+      medianLagSeconds: Math.round(median(coTrades.map(c => c.lag)) / 1000),
+      examples: coTrades.slice(0, 3).map(({ trade, lag }) => ({
+        market: trade.title,
+        side: trade.side,
+        outcome: trade.outcome,
+        time: new Date(trade.timestamp).toISOString(),
+        lagSeconds: Math.round(lag / 1000)
+      }))
+    });
+  }
+  return links;
+}
+
+/**
+ * Group linked wallets into clusters (connected components)
+ * @param {Object[]} links - From findLinks
+ * @param {Object<string, { userName: string, pnl: number }>} traders - wallet -> index entry
+ */
+export function buildClusters(links, traders = {}) {
+  const parent = new Map();
+  const find = w => {
+    while (parent.get(w) !== w) w = parent.get(w);
+    return w;
+  };
+  for (const { wallets } of links) {
+    for (const w of wallets) {
+      if (!parent.has(w)) parent.set(w, w);
+    }
+    parent.set(find(wallets[0]), find(wallets[1]));
+  }
+  
+  const components = new Map();
+  for (const w of parent.keys()) {
+    const root = find(w);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(w);
+  }
+  
+  return [...components.values()].map(members => {
+    const wallets = members
+      .map(wallet => ({ wallet, userName: traders[wallet]?.userName || null, pnl: traders[wallet]?.pnl ?? null }))
+      .sort((a, b) => (b.pnl ?? 0) - (a.pnl ?? 0));
+    const evidence = links.filter(l => members.includes(l.wallets[0]));
+    const ids = members.slice().sort().join(',');
+    return {
+      id: `cl-${createHash('sha1').update(ids).digest('hex').slice(0, 8)}`,
+      primary: wallets[0].wallet,
+      wallets,
+      confidence: Math.round((evidence.reduce((s, l) => s + l.confidence, 0) / evidence.length) * 100) / 100,
+      evidence
+    };
+  }).sort((a, b) => b.confidence - a.confidence);
+}
+
+async function detectClusters(maxWallets = CONFIG.maxWallets) {
+  const index = loadTraderIndex();
+  if (index.length === 0) {
+    console.log('No trader index yet. Run: npm run fetch');
+    return;
+  }
+  
+  const traders = index
+    .map(t => ({ ...t, pnl: bestPnl(t) }))
+    .sort((a, b) => b.pnl - a.pnl)
+    .slice(0, maxWallets);
+  console.log(`Fetching activity for ${traders.length} traders...`);
+  
+  const tradesByWallet = new Map();
+  for (let i = 0; i < traders.length; i++) {
+    const trader = traders[i];
+    try {
+      const raw = await collect(iterateActivity(trader.wallet, { maxItems: CONFIG.activitySample }));
+      const { items } = normalizeAll(raw, normalizeActivity, { source: 'activity' });
+      tradesByWallet.set(trader.wallet, items.filter(a => a.type === 'TRADE' && a.conditionId && a.side));
+    } catch (err) {
+      console.error(`  Could not fetch activity for ${trader.userName}: ${err.message}`);
+    }
+    if ((i + 1) % 25 === 0) console.log(`  ${i + 1}/${traders.length}`);
+  }
+  
+  const links = findLinks(tradesByWallet);
+  const detected = buildClusters(links, Object.fromEntries(traders.map(t => [t.wallet, t])));
+  
+  // Keep the user's decisions: statuses carry over by id, and decided
+  // clusters that weren't re-detected stay on file
+  const previous = new Map(loadClusters().clusters.map(c => [c.id, c]));
+  const detectedAt = new Date().toISOString();
+  const clusters = detected.map(c => ({ ...c, status: previous.get(c.id)?.status || 'pending', detectedAt }));
+  for (const old of previous.values()) {
+    if (old.status !== 'pending' && !clusters.some(c => c.id === old.id)) {
+      clusters.push(old);
+    }
+  }
+  
+  saveClusters({ detectedAt, walletsCompared: tradesByWallet.size, clusters });
+  console.log(`\nFound ${detected.length} clusters from ${links.length} wallet links. Saved to ${CLUSTERS_FILE}`);
+  listClusters();
+}
+
+function listClusters() {
+  const { clusters } = loadClusters();
+  if (clusters.length === 0) {
+    console.log('No clusters. Run: node src/clusters.js detect');
+    return;
+  }
+  
+  for (const cluster of clusters) {
+    console.log(`\n${cluster.id} [${cluster.status}] confidence ${(cluster.confidence * 100).toFixed(0)}%`);
+    for (const { wallet, userName } of cluster.wallets) {
+      console.log(`  ${wallet === cluster.primary ? '*' : ' '} ${userName || '-'} (${wallet})`);
+    }
+    for (const link of cluster.evidence) {
+      const names = link.wallets.map(w => cluster.wallets.find(m => m.wallet === w)?.userName || w.slice(0, 10));
+      console.log(`    ${names.join(' ↔ ')}: ${link.coTrades} co-trades in ${link.markets} markets, median lag ${link.medianLagSeconds}s`);
+      for (const ex of link.examples) {
+        console.log(`      ${ex.time.slice(0, 16)} ${ex.side} ${ex.outcome} on ${ex.market} (${ex.lagSeconds}s apart)`);
+      }
+    }
+  }
+  console.log('\nConfirm with: node src/clusters.js confirm <id>');
+}
+
+function setStatus(id, status) {
+  const data = loadClusters();
+  const cluster = data.clusters.find(c => c.id === id);
+  if (!cluster) {
+    console.log('Cluster not found');
+    return;
+  }
+  cluster.status = status;
+  saveClusters(data);
+  console.log(`${id} ${status} (${cluster.wallets.map(w => w.userName || w.wallet.slice(0, 10)).join(', ')})`);
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2).filter(a => !a.startsWith('--'));
+  
+  switch (args[0]) {
+    case 'detect':
+      detectClusters(parseInt(args[1]) || CONFIG.maxWallets).catch(console.error);
+      break;
+    case 'confirm':
+      setStatus(args[1], 'confirmed');
+      break;
+    case 'reject':
+      setStatus(args[1], 'rejected');
+      break;
+    case 'list':
+      listClusters();
+      break;
+    default:
+      console.log('Usage: node src/clusters.js detect [maxWallets] | list | confirm <id> | reject <id>');
+  }
+}
@@ -2,15 +2,49 @@
 /**
  * Copy Trading Signal Generator
  * Watch specific traders and generate actionable signals
+ *
+ * Positions are only followed in categories where the trader has proven
+ * edge (from edge-traders.json). Pass --all-categories to follow everything.
+ * Wallets flagged as market makers, bots or wash traders are skipped unless
+ * --include-flagged is passed. A followed wallet in a confirmed cluster
+ * (see clusters.js) brings in the cluster's other wallets as the same trader;
+ * a flag on any of them skips the whole cluster.
+ *
+ * Each run snapshots every followed wallet's open positions and diffs them
+ * against the last snapshot (see position-events.js). Signals come from
+ * those OPEN/ADD/TRIM/CLOSE events (see signals.js), so a position held for
+ * months isn't "new" and exits are reported too. A wallet's first run only
+ * records its baseline.
+ *
+ * New signals also drive a paper portfolio (see paper.js); `paper` prints
+ * its equity curve and per-signal results, `paper reset` starts it over.
+ * Every signal's outcome is tracked (see signal-outcomes.js); `scorecard`
+ * prints hit rate and return by confidence, trader, trader count and category.
+ * BUY signals carry a fractional-Kelly stake for the bankroll (--bankroll=<usd>
+ * or COPY_BANKROLL), capped per market and event (see sizing.js).
  */
 
 import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
-import { fetchActivity, fetchPositions, fetchUserStats } from './api.js';
+import { iteratePositions, collect } from './api.js';
+import { normalizeAll, normalizePosition } from './models.js';
+import { getMarkets, marketContext } from './markets.js';
+import { getPriceContext, formatPriceMove } from './clob.js';
+import { categoryOf, hasProvenEdge } from './specialization.js';
+import { excludeFlaggedWallets } from './classifier.js';
+import { loadConfirmedClusters } from './clusters.js';
+import { snapshotPositions, diffPositions, nextSnapshot } from './position-events.js';
+import { DEFAULT_SIGNAL_RULES, resolveMaxPriceDrift, buildSignals, traderHoldings, traderProfiles, guardStalePrice, formatPriceDrift } from './signals.js';
+import { resolvePaperSizing, updatePaperPortfolio, showPaperReport, resetPaperPortfolio } from './paper.js';
+import { updateSignalOutcomes, showScorecard, openStakeExposure } from './signal-outcomes.js';
+import { DEFAULT_STAKE_RULES, resolveBankroll, recommendStake, addExposure, formatStake } from './sizing.js';
 
 const DATA_DIR = './data';
 const SIGNALS_FILE = `${DATA_DIR}/signals.json`;
 const FOLLOWING_FILE = `${DATA_DIR}/following.json`;
 const EDGE_WATCHLIST_FILE = `${DATA_DIR}/edge-watchlist.json`;
+const EDGE_FILE = `${DATA_DIR}/edge-traders.json`;
+const SNAPSHOTS_FILE = `${DATA_DIR}/position-snapshots.json`;
+const EVENTS_FILE = `${DATA_DIR}/position-events.json`;
 
 // Load edge watchlist or fall back to defaults
 function getDefaultFollow() {
@@ -40,20 +74,65 @@ const DEFAULT_FOLLOW = getDefaultFollow();
 
 // Config
 const CONFIG = {
-  // Minimum position size to signal (USD)
-  minPositionSize: 5000,
+  // Minimum size, consensus weights, confidence thresholds and the stale-price
+  // guard (see signals.js); --max-price-drift or MAX_PRICE_DRIFT overrides the
+  // drift that drops a signal, read when signals are generated
+  signalRules: DEFAULT_SIGNAL_RULES,
+  // Max open positions to load per followed trader
+  maxPositionsPerTrader: 500,
+  // Copy trade size (USD) used to estimate slippage against the live book
+  copyTradeSize: 1000,
+  // Bankroll, Kelly fraction and per-market/event caps for stake recommendations;
+  // --bankroll or COPY_BANKROLL sets the bankroll, read when signals are generated
+  stakeRules: DEFAULT_STAKE_RULES,
+  // Paper portfolio sizing rule (see portfolio.js); null keeps the portfolio's own
+  paperSizing: resolvePaperSizing(process.argv, process.env.PAPER_SIZING),
+  // Only follow traders in categories where they have proven edge
+  provenCategoriesOnly: !process.argv.includes('--all-categories'),
   // Minimum trader win rate to follow
   minWinRate: 0.6,
-  // Signal confidence thresholds
-  confidenceThresholds: {
-    high: 0.8,    // Multiple top traders agree
-    medium: 0.6,  // Single top trader, large position
-    low: 0.4      // Single trader, smaller position
-  },
   // Webhook for signals
   webhookUrl: process.env.SIGNAL_WEBHOOK_URL || null
 };
 
+// wallet -> one field of each trader from the last edge run
+function loadEdgeField(field) {
+  if (!existsSync(EDGE_FILE)) return new Map();
+  try {
+    const edgeData = JSON.parse(readFileSync(EDGE_FILE, 'utf-8'));
+    return new Map(edgeData.traders
+      .filter(t => t[field] != null)
+      .flatMap(t => (t.wallets || [t.wallet]).map(w => [w.toLowerCase(), t[field]])));
+  } catch (e) {
+    console.log('Could not load edge traders:', e.message);
+    return new Map();
+  }
+}
+
+// wallet -> specialization profile from the last edge run
+function loadSpecializations() {
+  return loadEdgeField('specialization');
+}
+
+// Followed wallets in a confirmed cluster become one trader covering all its wallets
+function applyClusters(following) {
+  const clusters = loadConfirmedClusters();
+  const seen = new Set();
+  const result = [];
+  for (const trader of following) {
+    const cluster = clusters.get(trader.wallet.toLowerCase());
+    if (!cluster) {
+      result.push(trader);
+      continue;
+    }
+    // Another followed wallet already brought this cluster in
+    if (seen.has(cluster.id)) continue;
+    seen.add(cluster.id);
+    result.push({ ...trader, wallets: cluster.wallets, clusterId: cluster.id });
+  }
+  return result;
+}
+
 function loadFollowing() {
   if (!existsSync(FOLLOWING_FILE)) {
     return DEFAULT_FOLLOW;
@@ -76,15 +155,62 @@ function saveSignals(signals) {
   writeFileSync(SIGNALS_FILE, JSON.stringify(trimmed, null, 2));
 }
 
+// wallet (lowercased) -> { takenAt, positions }
+function loadSnapshots() {
+  if (!existsSync(SNAPSHOTS_FILE)) return {};
+  return JSON.parse(readFileSync(SNAPSHOTS_FILE, 'utf-8'));
+}
+
+function saveSnapshots(snapshots) {
+  writeFileSync(SNAPSHOTS_FILE, JSON.stringify(snapshots, null, 2));
+}
+
+function loadEvents() {
+  if (!existsSync(EVENTS_FILE)) return [];
+  return JSON.parse(readFileSync(EVENTS_FILE, 'utf-8'));
+}
+
+function saveEvents(events) {
+  // Keep last 2000 events
+  writeFileSync(EVENTS_FILE, JSON.stringify(events.slice(0, 2000), null, 2));
+}
+
+function formatEvent(e) {
+  const shares = `${e.sharesDelta > 0 ? '+' : ''}${Math.round(e.sharesDelta).toLocaleString()} sh`;
+  const price = e.price != null ? ` @ ${(e.price * 100).toFixed(1)}¢` : '';
+  const usd = e.usdDelta != null ? ` ($${Math.round(Math.abs(e.usdDelta)).toLocaleString()})` : '';
+  return `${e.type.padEnd(6)}${e.traderName}: ${e.outcome} on ${e.title} ${shares}${price}${usd}`;
+}
+
 async function sendSignal(signal) {
   console.log('\n📊 NEW SIGNAL');
   console.log('─'.repeat(50));
   console.log(`Market: ${signal.market}`);
+  if (signal.marketInfo) {
+    console.log(`Category: ${signal.marketInfo.category || '-'} | Ends: ${signal.marketInfo.endDate?.slice(0, 10) || '-'}`);
+  }
   console.log(`Position: ${signal.side} ${signal.outcome}`);
-  console.log(`Confidence: ${(signal.confidence * 100).toFixed(0)}%`);
-  console.log(`Traders: ${signal.traders.map(t => t.name).join(', ')}`);
+  console.log(`Confidence: ${(signal.confidence * 100).toFixed(0)}% (support ${signal.consensus.support}, opposition ${signal.consensus.opposition})`);
+  console.log(`Traders: ${signal.traders.map(t => `${t.name} (${t.event})`).join(', ')}`);
+  if (signal.conflict) {
+    console.log(`⚠️  CONFLICT - other side: ${signal.opposing.map(t => `${t.name} (${t.positions.join(', ')})`).join('; ')}`);
+  }
   console.log(`Total Size: $${signal.totalSize.toLocaleString()}`);
   console.log(`Avg Price: ${(signal.avgPrice * 100).toFixed(1)}¢`);
+  if (signal.priceContext) {
+    const { currentPrice, spread, copyFill } = signal.priceContext;
+    console.log(`Now: ${formatPriceMove(signal.avgPrice, currentPrice, signal.side === 'SELL' ? 'exited' : 'entered')}${spread != null ? `, spread ${(spread * 100).toFixed(1)}¢` : ''}`);
+    if (copyFill?.slippage != null) {
+      console.log(`Slippage: ${(copyFill.slippage * 100).toFixed(2)}% on a $${CONFIG.copyTradeSize.toLocaleString()} copy`);
+    }
+  }
+  if (signal.stake) {
+    console.log(`Stake: ${formatStake(signal.stake)}`);
+  }
+  const drift = formatPriceDrift(signal);
+  if (drift) {
+    console.log(`Drift: ${drift}${signal.stale === 'downgraded' ? ` - ⚠️  STALE, confidence cut from ${Math.round(signal.originalConfidence * 100)}%` : ''}`);
+  }
   console.log('─'.repeat(50));
   
   if (CONFIG.webhookUrl) {
@@ -100,115 +226,164 @@ async function sendSignal(signal) {
   }
 }
 
-async function getTraderPositions(trader) {
+// null when the fetch fails, so a failed fetch never reads as every position closing
+async function fetchWalletPositions(wallet, name) {
   try {
-    const positions = await fetchPositions(trader.wallet, { limit: 50 });
-    return positions.map(p => ({
-      ...p,
-      traderName: trader.name,
-      traderWallet: trader.wallet
-    }));
+    const raw = await collect(iteratePositions(wallet, { maxItems: CONFIG.maxPositionsPerTrader }));
+    const { items: positions } = normalizeAll(raw, normalizePosition, { source: `${name} position` });
+    return { positions, complete: raw.length < CONFIG.maxPositionsPerTrader };
   } catch (err) {
-    console.error(`Error fetching positions for ${trader.name}: ${err.message}`);
-    return [];
+    console.error(`Error fetching positions for ${name}: ${err.message}`);
+    return null;
   }
 }
 
+// Diff each followed wallet against its last snapshot; updates snapshots in place
+async function detectPositionEvents(following, snapshots) {
+  const events = [];
+  let baselines = 0;
+  
+  for (const trader of following) {
+    for (const wallet of trader.wallets || [trader.wallet]) {
+      const fetched = await fetchWalletPositions(wallet, trader.name);
+      if (!fetched) continue;
+      
+      const key = wallet.toLowerCase();
+      const previous = snapshots[key]?.positions;
+      const current = snapshotPositions(fetched.positions);
+      
+      if (previous) {
+        const walletEvents = diffPositions(previous, current, { complete: fetched.complete });
+        events.push(...walletEvents.map(e => ({
+          ...e,
+          wallet,
+          traderName: trader.name,
+          traderWallet: trader.wallet
+        })));
+      } else {
+        baselines++;
+      }
+      
+      snapshots[key] = {
+        takenAt: new Date().toISOString(),
+        positions: nextSnapshot(previous, current, fetched.complete)
+      };
+    }
+  }
+  
+  if (baselines > 0) {
+    console.log(`Recorded baseline positions for ${baselines} new wallets (no signals until they change)`);
+  }
+  return events;
+}
+
 async function generateSignals() {
+  // Read here, not at load, so a bad value doesn't break the other commands
+  const signalRules = {
+    ...CONFIG.signalRules,
+    maxPriceDrift: resolveMaxPriceDrift(process.argv, process.env.MAX_PRICE_DRIFT)
+  };
+  const stakeRules = {
+    ...CONFIG.stakeRules,
+    bankroll: resolveBankroll(process.argv, process.env.COPY_BANKROLL)
+  };
+  
   if (!existsSync(DATA_DIR)) {
     mkdirSync(DATA_DIR, { recursive: true });
   }
   
-  const following = loadFollowing();
+  // Clusters first, so wallets a cluster brings in are classified too
+  const { kept: following } = await excludeFlaggedWallets(applyClusters(loadFollowing()));
   const existingSignals = loadSignals();
+  const snapshots = loadSnapshots();
+  // detectPositionEvents replaces each wallet's snapshot - conviction is sized against the one before
+  const previousSnapshots = { ...snapshots };
   
   console.log(`\n[${new Date().toISOString()}] Generating signals from ${following.length} traders...`);
   
-  // Gather all positions
-  const allPositions = [];
-  for (const trader of following) {
-    const positions = await getTraderPositions(trader);
-    allPositions.push(...positions);
-    await new Promise(r => setTimeout(r, 300)); // Rate limit
+  // What changed since the last run
+  const allEvents = await detectPositionEvents(following, snapshots);
+  console.log(`Found ${allEvents.length} position changes`);
+  for (const e of allEvents) {
+    console.log(`  ${formatEvent(e)}`);
   }
   
-  console.log(`Found ${allPositions.length} total positions`);
+  // Market metadata for categories and context on each signal
+  const markets = await getMarkets(allEvents.map(e => e.conditionId));
   
-  // Group by market/outcome
-  const grouped = {};
-  for (const pos of allPositions) {
-    const key = `${pos.conditionId}-${pos.outcome}`;
-    if (!grouped[key]) {
-      grouped[key] = {
-        conditionId: pos.conditionId,
-        market: pos.title || pos.eventSlug,
-        outcome: pos.outcome,
-        side: pos.size > 0 ? 'LONG' : 'SHORT',
-        positions: []
-      };
-    }
-    grouped[key].positions.push(pos);
+  // Drop events outside each trader's proven categories
+  let events = allEvents;
+  if (CONFIG.provenCategoriesOnly) {
+    const specializations = loadSpecializations();
+    events = allEvents.filter(e =>
+      hasProvenEdge(specializations.get(e.traderWallet.toLowerCase()), categoryOf(markets[e.conditionId]))
+    );
+    console.log(`Following ${events.length} changes in proven categories (${allEvents.length - events.length} skipped)`);
   }
   
-  // Generate signals where multiple traders agree or single trader has large position
+  // Signals weighted by each trader's edge and conviction, net of followed traders on the other side
   const newSignals = [];
   
-  for (const [key, group] of Object.entries(grouped)) {
-    const totalSize = group.positions.reduce((s, p) => s + Math.abs(p.currentValue || p.size || 0), 0);
-    const avgPrice = group.positions.reduce((s, p) => s + (p.avgPrice || p.curPrice || 0), 0) / group.positions.length;
-    const traderCount = new Set(group.positions.map(p => p.traderWallet)).size;
-    
-    // Skip small positions
-    if (totalSize < CONFIG.minPositionSize) continue;
-    
-    // Calculate confidence
-    let confidence = 0;
-    if (traderCount >= 3) {
-      confidence = CONFIG.confidenceThresholds.high;
-    } else if (traderCount >= 2 || totalSize > 50000) {
-      confidence = CONFIG.confidenceThresholds.medium;
-    } else if (totalSize > 10000) {
-      confidence = CONFIG.confidenceThresholds.low;
+  const holdings = traderHoldings(following, snapshots);
+  const calibrations = loadEdgeField('calibration');
+  // Stakes still riding on open signals count toward the per-market and per-event caps
+  const exposure = openStakeExposure();
+  const candidates = buildSignals(events, {
+    holdings,
+    traders: traderProfiles(following, previousSnapshots, loadEdgeField('edgeScore')),
+    markets,
+    recentSignals: existingSignals,
+    rules: signalRules
+  });
+  
+  for (const candidate of candidates) {
+    // Live price, spread and estimated slippage for copying now
+    let priceContext = null;
+    if (candidate.asset) {
+      try {
+        priceContext = await getPriceContext(candidate.asset, { entryPrice: candidate.avgPrice, copySize: CONFIG.copyTradeSize });
+      } catch (err) {
+        console.error(`Price lookup failed for ${candidate.market}: ${err.message}`);
+      }
     }
     
-    if (confidence < CONFIG.confidenceThresholds.low) continue;
-    
-    // Check if we already signaled this
-    const existingSignal = existingSignals.find(s => 
-      s.conditionId === group.conditionId && 
-      s.outcome === group.outcome &&
-      Date.now() - new Date(s.timestamp).getTime() < 24 * 60 * 60 * 1000 // Within 24h
-    );
-    
-    if (existingSignal) continue;
+    // Drop or downgrade signals the price has already run away from; the
+    // traders' positions carry curPrice when the book can't be read
+    const currentPrice = priceContext?.currentPrice ?? holdings.find(h => h.asset === candidate.asset)?.curPrice ?? null;
+    const guarded = guardStalePrice(candidate, currentPrice, signalRules);
+    if (guarded.stale === 'dropped') {
+      console.log(`\n⏭️  Skipping stale signal: ${candidate.side} ${candidate.outcome} on ${candidate.market} (${formatPriceDrift(guarded)})`);
+      continue;
+    }
     
     const signal = {
-      id: `${Date.now()}-${key}`,
-      timestamp: new Date().toISOString(),
-      conditionId: group.conditionId,
-      market: group.market,
-      outcome: group.outcome,
-      side: group.side,
-      confidence,
-      totalSize,
-      avgPrice,
-      traderCount,
-      traders: group.positions.map(p => ({
-        name: p.traderName,
-        wallet: p.traderWallet,
-        size: p.currentValue || p.size
-      }))
+      ...guarded,
+      eventSlug: guarded.eventSlug ?? markets[candidate.conditionId]?.eventSlug ?? null,
+      marketInfo: marketContext(markets[candidate.conditionId]),
+      priceContext,
+      category: categoryOf(markets[candidate.conditionId])
     };
     
+    // Fractional-Kelly stake, within what the market and event caps leave
+    signal.stake = recommendStake(signal, { price: currentPrice, calibrations, exposure, rules: stakeRules });
+    addExposure(exposure, signal, signal.stake.usd);
+    
     newSignals.push(signal);
     await sendSignal(signal);
   }
   
-  // Save signals
+  // Save signals, events and the new snapshots
   const allSignals = [...newSignals, ...existingSignals];
   saveSignals(allSignals);
+  saveEvents([...allEvents, ...loadEvents()]);
+  saveSnapshots(snapshots);
   
   console.log(`\nGenerated ${newSignals.length} new signals`);
+  
+  // Follow the signals on paper, and mark what's already open
+  await updatePaperPortfolio(newSignals, { sizing: CONFIG.paperSizing });
+  // Price paths and resolutions for the scorecard
+  await updateSignalOutcomes(allSignals);
   return newSignals;
 }
 
@@ -227,10 +402,14 @@ async function addTrader(wallet, name) {
 }
 
 function listFollowing() {
-  const following = loadFollowing();
+  const following = applyClusters(loadFollowing());
+  const specializations = loadSpecializations();
   console.log('\nFollowing:');
   for (const trader of following) {
-    console.log(`  - ${trader.name} (${trader.wallet.slice(0, 10)}...)`);
+    const specialization = specializations.get(trader.wallet.toLowerCase());
+    const categories = specialization ? ` - proven in: ${specialization.proven.join(', ') || 'none'}` : '';
+    const cluster = trader.clusterId ? ` [${trader.clusterId}, ${trader.wallets.length} wallets]` : '';
+    console.log(`  - ${trader.name} (${trader.wallet.slice(0, 10)}...)${cluster}${categories}`);
   }
 }
 
@@ -251,7 +430,7 @@ function removeTrader(walletOrName) {
 }
 
 // Main
-const args = process.argv.slice(2);
+const args = process.argv.slice(2).filter(a => !a.startsWith('--'));
 const command = args[0];
 
 switch (command) {
@@ -262,7 +441,7 @@ switch (command) {
     }
     addTrader(args[1], args[2]);
     break;
-    
+  
   case 'remove':
     if (!args[1]) {
       console.log('Usage: node copy-trader.js remove <wallet|name>');
@@ -270,19 +449,43 @@ switch (command) {
     }
     removeTrader(args[1]);
     break;
-    
+  
   case 'list':
     listFollowing();
     break;
-    
+  
   case 'signals':
     const signals = loadSignals();
     console.log('\nRecent Signals:');
     for (const s of signals.slice(0, 10)) {
-      console.log(`  [${s.confidence * 100}%] ${s.side} ${s.outcome} on ${s.market}`);
+      console.log(`  [${Math.round(s.confidence * 100)}%] ${s.side} ${s.outcome} on ${s.market}${s.stake?.usd ? ` - stake $${s.stake.usd.toLocaleString()}` : ''}${s.conflict ? ' ⚠️ conflict' : ''}${s.stale ? ' ⏳ stale' : ''}`);
     }
     break;
-    
+  
+  case 'paper':
+    if (args[1] === 'reset') {
+      const portfolio = resetPaperPortfolio(CONFIG.paperSizing);
+      console.log(`Paper portfolio reset to $${portfolio.startingCash.toLocaleString()} (sizing ${portfolio.sizing})`);
+    } else {
+      showPaperReport();
+    }
+    break;
+  
+  case 'scorecard':
+    updateSignalOutcomes(loadSignals())
+      .then(records => showScorecard(records, CONFIG.signalRules.confidenceThresholds))
+      .then(() => process.exit(0))
+      .catch(err => {
+        console.error(err.message);
+        process.exit(1);
+      });
+    break;
+  
   default:
-    generateSignals().then(() => process.exit(0));
+    generateSignals()
+      .then(() => process.exit(0))
+      .catch(err => {
+        console.error(err.message);
+        process.exit(1);
+      });
 }
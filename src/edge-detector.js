@@ -8,96 +8,146 @@
  * - Win rate on closed positions
  * - Risk-adjusted returns (Sharpe-like)
  * - Recent performance vs all-time (momentum)
+ * - Wins above the market's implied probability (alpha)
+ *
+ * Each trader also gets a category specialization profile (politics,
+ * sports, crypto...) that copy-trader uses to follow only proven categories.
+ * Confirmed wallet clusters (see clusters.js) are scored as one trader.
+ * Each trader gets a style label (see style.js); --style=<label>[,<label>]
+ * keeps only those styles.
+ *
+ * Usage:
+ *   node src/edge-detector.js [minVolume] [topN]   - Score traders
+ *   node src/edge-detector.js calibration          - Calibration report for the last run
+ *   node src/edge-detector.js history              - List saved runs
+ *   node src/edge-detector.js diff [from] [to]     - Score and rank changes between runs
+ *
+ * Runs are referenced by id or by number from `history` (-1 = latest);
+ * diff defaults to the previous run against the latest.
  */
 
 import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
-import { fetchLeaderboard, fetchClosedPositions, fetchPositions } from './api.js';
+import { fetchLeaderboard, fetchUserValue, sampleClosedPositions, iteratePositions, iterateActivity, collect, formatRequestMetrics } from './api.js';
+import { normalizeAll, normalizeLeaderboardEntry, normalizePosition, normalizeClosedPosition, normalizeActivity } from './models.js';
+import { calculateEdgeScore, getScoringProfile, resolveProfileName } from './scoring.js';
+import { resolveSamplingMode } from './sampling.js';
+import { PRICE_BUCKETS } from './calibration.js';
+import { CATEGORIES, DEFAULT_EDGE_CRITERIA, buildSpecialization } from './specialization.js';
+import { getMarkets } from './markets.js';
+import { excludeFlaggedWallets } from './classifier.js';
+import { mergeClusterEntries } from './clusters.js';
+import { saveEdgeRun, listEdgeRuns, loadEdgeRun, diffEdgeRuns } from './edge-history.js';
+import { classifyStyle, parseStyleFilter, matchesStyle, portfolioValueOf, formatHoldingTime } from './style.js';
 
 const DATA_DIR = './data';
 const EDGE_FILE = `${DATA_DIR}/edge-traders.json`;
 
-async function fetchTraderDetails(wallet, limit = 100) {
+// Closed positions per trader categorized for specialization - each new market is a catalog lookup
+const SPECIALIZATION_SAMPLE = 250;
+
+// Open positions and activity per lowercase wallet, fetched once for both the
+// classifier and scoring; dropped once the wallet is scored
+const walletRequests = new Map();
+
+function requestWalletData(wallet) {
+  const key = wallet.toLowerCase();
+  if (!walletRequests.has(key)) {
+    const forget = err => {
+      walletRequests.delete(key);
+      throw err;
+    };
+    walletRequests.set(key, {
+      positions: collect(iteratePositions(wallet, { maxItems: 500 }))
+        .then(raw => normalizeAll(raw, normalizePosition, { source: 'position' }).items, forget),
+      activity: collect(iterateActivity(wallet, { maxItems: 1000 }))
+        .then(raw => normalizeAll(raw, normalizeActivity, { source: 'activity' }).items, forget)
+    });
+  }
+  return walletRequests.get(key);
+}
+
+// For excludeFlaggedWallets - fails like the classifier's own fetch would
+async function fetchClassifierData(wallet) {
+  const { positions, activity } = requestWalletData(wallet);
+  const [p, a] = await Promise.all([positions, activity]);
+  return { positions: p, activity: a };
+}
+
+async function fetchTraderDetails(wallet, samplingMode, maxClosed = 1000) {
   try {
-    const [closedPositions, openPositions] = await Promise.all([
-      fetchClosedPositions(wallet, { limit }).catch(() => []),
-      fetchPositions(wallet, { limit: 50 }).catch(() => [])
+    const requests = requestWalletData(wallet);
+    // Activity dates closed positions the API left undated and gives the trading style
+    const [closedSample, openPositions, activity, valueRaw] = await Promise.all([
+      sampleClosedPositions(wallet, { mode: samplingMode, maxItems: maxClosed }).catch(() => null),
+      requests.positions.catch(() => []),
+      requests.activity.catch(() => []),
+      fetchUserValue(wallet).catch(() => null)
     ]);
+    walletRequests.delete(wallet.toLowerCase());
     
-    return { closedPositions, openPositions };
+    return {
+      closedPositions: normalizeAll(closedSample?.items || [], normalizeClosedPosition, { source: 'closed position' }).items,
+      openPositions,
+      activity,
+      portfolioValue: portfolioValueOf(valueRaw),
+      sample: closedSample?.sample || null
+    };
   } catch (err) {
-    return { closedPositions: [], openPositions: [] };
+    return { closedPositions: [], openPositions: [], activity: [], portfolioValue: null, sample: null };
   }
 }
 
-function calculateEdgeScore(trader, details) {
-  const { closedPositions } = details;
-  
-  // Base metrics
-  const pnl = trader.pnl || 0;
-  const volume = trader.vol || 1;
-  const efficiency = pnl / volume;
-  
-  // Win rate from closed positions
-  const wins = closedPositions.filter(p => p.realizedPnl > 0);
-  const losses = closedPositions.filter(p => p.realizedPnl < 0);
-  const totalTrades = wins.length + losses.length;
-  const winRate = totalTrades > 0 ? wins.length / totalTrades : 0.5;
-  
-  // Average win/loss sizes
-  const avgWin = wins.length > 0 
-    ? wins.reduce((s, p) => s + p.realizedPnl, 0) / wins.length 
-    : 0;
-  const avgLoss = losses.length > 0 
-    ? Math.abs(losses.reduce((s, p) => s + p.realizedPnl, 0) / losses.length)
-    : 1;
-  
-  // Profit factor (total wins / total losses)
-  const totalWins = wins.reduce((s, p) => s + p.realizedPnl, 0);
-  const totalLosses = Math.abs(losses.reduce((s, p) => s + p.realizedPnl, 0));
-  const profitFactor = totalLosses > 0 ? totalWins / totalLosses : totalWins > 0 ? 10 : 1;
-  
-  // Edge score components (0-100 each)
-  const efficiencyScore = Math.min(efficiency * 200, 100); // 50% efficiency = 100
-  const winRateScore = winRate * 100;
-  const profitFactorScore = Math.min(profitFactor * 20, 100); // PF of 5 = 100
-  const consistencyScore = totalTrades > 20 ? 100 : (totalTrades / 20) * 100;
-  const sizeScore = Math.min(Math.log10(volume + 1) * 15, 100); // Rewards volume
-  
-  // Weighted edge score
-  const edgeScore = (
-    efficiencyScore * 0.30 +
-    winRateScore * 0.25 +
-    profitFactorScore * 0.20 +
-    consistencyScore * 0.15 +
-    sizeScore * 0.10
-  );
+// A confirmed cluster's wallets are fetched one by one and combined
+async function fetchEntityDetails(trader, samplingMode) {
+  const wallets = trader.wallets || [trader.wallet];
+  const parts = [];
+  for (const wallet of wallets) {
+    parts.push(await fetchTraderDetails(wallet, samplingMode));
+  }
+  if (parts.length === 1) return parts[0];
   
+  const samples = parts.map(p => p.sample).filter(Boolean);
   return {
-    edgeScore: Math.round(edgeScore * 10) / 10,
-    components: {
-      efficiency: Math.round(efficiencyScore * 10) / 10,
-      winRate: Math.round(winRateScore * 10) / 10,
-      profitFactor: Math.round(profitFactorScore * 10) / 10,
-      consistency: Math.round(consistencyScore * 10) / 10,
-      size: Math.round(sizeScore * 10) / 10
-    },
-    stats: {
-      pnl,
-      volume,
-      efficiencyPct: Math.round(efficiency * 1000) / 10,
-      winRate: Math.round(winRate * 1000) / 10,
-      wins: wins.length,
-      losses: losses.length,
-      avgWin: Math.round(avgWin),
-      avgLoss: Math.round(avgLoss),
-      profitFactor: Math.round(profitFactor * 100) / 100,
-      totalTrades
-    }
+    closedPositions: parts.flatMap(p => p.closedPositions),
+    openPositions: parts.flatMap(p => p.openPositions),
+    activity: parts.flatMap(p => p.activity),
+    portfolioValue: parts.some(p => p.portfolioValue != null) ? parts.reduce((s, p) => s + (p.portfolioValue || 0), 0) : null,
+    sample: samples.length > 0 ? {
+      mode: samplingMode,
+      sampled: samples.reduce((s, x) => s + x.sampled, 0),
+      total: samples.reduce((s, x) => s + x.total, 0),
+      totalCapped: samples.some(x => x.totalCapped),
+      complete: samples.every(x => x.complete)
+    } : null
   };
 }
 
-async function detectEdgeTraders(minVolume = 50000, topN = 100) {
-  console.log('🎯 Edge Detection Started\n');
+// Up to n items spread evenly across list, in order - outcome-blind like the sample itself
+function spreadSample(list, n) {
+  if (list.length <= n) return list;
+  return Array.from({ length: n }, (_, i) => list[Math.floor((i * list.length) / n)]);
+}
+
+// Each trader's standing on the category leaderboards: wallet -> category -> entry
+async function fetchCategoryLeaderboards() {
+  const boards = new Map();
+  for (const category of Object.keys(CATEGORIES)) {
+    const raw = await fetchLeaderboard({ timePeriod: 'all', orderBy: 'PNL', limit: 200, category }).catch(() => []);
+    const { items } = normalizeAll(raw, normalizeLeaderboardEntry, { source: `${category} leaderboard` });
+    for (const entry of items) {
+      if (!boards.has(entry.wallet)) boards.set(entry.wallet, {});
+      boards.get(entry.wallet)[category] = { rank: entry.rank, pnl: entry.pnl, volume: entry.volume };
+    }
+  }
+  return boards;
+}
+
+async function detectEdgeTraders(minVolume = 50000, topN = 100, profileName, samplingMode, styleFilter = null) {
+  const profile = getScoringProfile(profileName);
+  console.log('🎯 Edge Detection Started');
+  console.log(`Scoring profile: ${profile.name} - ${profile.description}`);
+  console.log(`Closed-position sampling: ${samplingMode}`);
+  console.log(`Styles: ${styleFilter ? styleFilter.join(', ') : 'all'}\n`);
   
   if (!existsSync(DATA_DIR)) {
     mkdirSync(DATA_DIR, { recursive: true });
@@ -113,47 +163,74 @@ async function detectEdgeTraders(minVolume = 50000, topN = 100) {
   
   // Combine and dedupe
   const traderMap = new Map();
+  const { items: entries } = normalizeAll([...allTime, ...monthly, ...weekly], normalizeLeaderboardEntry, { source: 'leaderboard' });
   
-  for (const trader of [...allTime, ...monthly, ...weekly]) {
-    if (!traderMap.has(trader.proxyWallet)) {
-      traderMap.set(trader.proxyWallet, trader);
+  for (const trader of entries) {
+    if (!traderMap.has(trader.wallet)) {
+      traderMap.set(trader.wallet, trader);
     }
   }
   
-  // Filter by minimum volume
-  const candidates = Array.from(traderMap.values())
-    .filter(t => (t.vol || 0) >= minVolume && (t.pnl || 0) > 0);
+  // Filter by minimum volume, with confirmed clusters as one trader
+  const candidates = mergeClusterEntries(Array.from(traderMap.values()))
+    .filter(t => t.volume >= minVolume && t.pnl > 0);
+  
+  console.log(`Found ${candidates.length} profitable traders with >$${minVolume.toLocaleString()} volume`);
   
-  console.log(`Found ${candidates.length} profitable traders with >$${minVolume.toLocaleString()} volume\n`);
+  // Market makers, bots and wash traders distort efficiency and size
+  console.log('Classifying wallets...');
+  const { kept: eligible, excluded } = await excludeFlaggedWallets(candidates.slice(0, topN * 2), { fetchWallet: fetchClassifierData });
+  for (const { wallets } of excluded) {
+    for (const wallet of wallets) {
+      walletRequests.delete(wallet.toLowerCase());
+    }
+  }
+  console.log('');
   
   // Analyze each trader
   const edgeTraders = [];
+  // Just what specialization needs, kept until the top N are known
+  const closedByWallet = new Map();
   
-  for (let i = 0; i < Math.min(candidates.length, topN * 2); i++) {
-    const trader = candidates[i];
-    console.log(`[${i + 1}/${Math.min(candidates.length, topN * 2)}] Analyzing ${trader.userName}...`);
+  for (let i = 0; i < eligible.length; i++) {
+    const trader = eligible[i];
+    console.log(`[${i + 1}/${eligible.length}] Analyzing ${trader.userName}...`);
     
-    const details = await fetchTraderDetails(trader.proxyWallet);
-    const edge = calculateEdgeScore(trader, details);
+    const details = await fetchEntityDetails(trader, samplingMode);
+    const edge = calculateEdgeScore(trader, details.closedPositions, profile, { activity: details.activity });
+    const style = classifyStyle(details);
+    if (!matchesStyle(style, styleFilter)) {
+      console.log(`  Skipping: style ${style.label || 'unknown'}`);
+      continue;
+    }
+    closedByWallet.set(trader.wallet, {
+      positions: spreadSample(details.closedPositions, SPECIALIZATION_SAMPLE).map(p => ({
+        conditionId: p.conditionId,
+        realizedPnl: p.realizedPnl,
+        usdSize: p.usdSize
+      })),
+      skipped: Math.max(details.closedPositions.length - SPECIALIZATION_SAMPLE, 0)
+    });
     
     edgeTraders.push({
-      wallet: trader.proxyWallet,
+      wallet: trader.wallet,
       userName: trader.userName,
       profileImage: trader.profileImage,
       xUsername: trader.xUsername,
+      ...(trader.clusterId && { clusterId: trader.clusterId, wallets: trader.wallets }),
       ...edge,
+      style,
+      sample: details.sample,
       openPositions: details.openPositions.length,
       currentPositions: details.openPositions.slice(0, 10).map(p => ({
-        market: p.title || p.eventSlug,
+        market: p.title,
+        conditionId: p.conditionId,
         outcome: p.outcome,
-        size: p.currentValue || p.size,
+        size: p.usdSize,
         avgPrice: p.avgPrice,
         currentPrice: p.curPrice
       }))
     });
-    
-    // Rate limit
-    await new Promise(r => setTimeout(r, 250));
   }
   
   // Sort by edge score
@@ -162,28 +239,51 @@ async function detectEdgeTraders(minVolume = 50000, topN = 100) {
   // Take top N
   const topEdge = edgeTraders.slice(0, topN);
   
+  // Category specialization from the market catalog and category leaderboards
+  console.log('\nBuilding category specialization...');
+  const categoryBoards = await fetchCategoryLeaderboards();
+  const skipped = topEdge.reduce((s, t) => s + closedByWallet.get(t.wallet).skipped, 0);
+  if (skipped > 0) {
+    console.log(`Categorizing up to ${SPECIALIZATION_SAMPLE} closed positions per trader (${skipped} others skipped)`);
+  }
+  const markets = await getMarkets(topEdge.flatMap(t => closedByWallet.get(t.wallet).positions.map(p => p.conditionId)));
+  for (const trader of topEdge) {
+    trader.specialization = buildSpecialization(
+      closedByWallet.get(trader.wallet).positions,
+      markets,
+      categoryBoards.get(trader.wallet) || {}
+    );
+  }
+  
   // Save results
   const result = {
     fetchedAt: new Date().toISOString(),
+    profile: profile.name,
+    samplingMode,
+    styleFilter,
     count: topEdge.length,
-    traders: topEdge
+    traders: topEdge,
+    excluded
   };
   
   writeFileSync(EDGE_FILE, JSON.stringify(result, null, 2));
+  const runId = saveEdgeRun(result);
   
   // Print summary
-  console.log('\n' + '═'.repeat(80));
+  console.log('\n' + '═'.repeat(93));
   console.log(' TOP EDGE TRADERS');
-  console.log('═'.repeat(80));
+  console.log('═'.repeat(93));
   console.log(
     'Rank'.padEnd(6) +
     'Trader'.padEnd(22) +
     'Edge'.padStart(8) +
     'Efficiency'.padStart(12) +
     'Win Rate'.padStart(10) +
+    'WR Low'.padStart(9) +
+    'n / Total'.padStart(12) +
     'PnL'.padStart(14)
   );
-  console.log('─'.repeat(80));
+  console.log('─'.repeat(93));
   
   for (let i = 0; i < Math.min(30, topEdge.length); i++) {
     const t = topEdge[i];
@@ -192,22 +292,276 @@ async function detectEdgeTraders(minVolume = 50000, topN = 100) {
       t.userName.slice(0, 20).padEnd(22) +
       `${t.edgeScore}`.padStart(8) +
       `${t.stats.efficiencyPct}%`.padStart(12) +
-      `${t.stats.winRate}%`.padStart(10) +
+      (t.stats.winRate != null ? `${t.stats.winRate}%` : '-').padStart(10) +
+      `${t.stats.winRateLower}%`.padStart(9) +
+      `${t.stats.sampleSize} / ${t.sample ? `${t.sample.total}${t.sample.totalCapped ? '+' : ''}` : '?'}`.padStart(12) +
       `+$${t.stats.pnl.toLocaleString()}`.padStart(14)
     );
   }
   
-  console.log('═'.repeat(80));
-  console.log(`\nSaved ${topEdge.length} edge traders to ${EDGE_FILE}`);
+  console.log('═'.repeat(93));
+  console.log(' WR Low = 95% lower bound on win rate; n = closed positions scored of the trader\'s total');
+  
+  // Risk-adjusted view of the same traders
+  const fmt = (v, suffix = '') => v != null ? `${v}${suffix}` : '-';
+  console.log('\n' + '═'.repeat(88));
+  console.log(' RISK-ADJUSTED');
+  console.log('═'.repeat(88));
+  console.log(
+    'Rank'.padEnd(6) +
+    'Trader'.padEnd(22) +
+    'Sharpe'.padStart(9) +
+    'Sortino'.padStart(10) +
+    'Max DD'.padStart(12) +
+    'DD %'.padStart(8) +
+    'Lose Streak'.padStart(13) +
+    'Momentum'.padStart(10)
+  );
+  console.log('─'.repeat(88));
+  
+  for (let i = 0; i < Math.min(30, topEdge.length); i++) {
+    const t = topEdge[i];
+    console.log(
+      `#${i + 1}`.padEnd(6) +
+      t.userName.slice(0, 20).padEnd(22) +
+      fmt(t.risk.sharpe).padStart(9) +
+      fmt(t.risk.sortino).padStart(10) +
+      (t.risk.maxDrawdown != null ? `-$${t.risk.maxDrawdown.toLocaleString()}` : '-').padStart(12) +
+      fmt(t.risk.maxDrawdownPct, '%').padStart(8) +
+      `${t.risk.longestLosingStreak}`.padStart(13) +
+      fmt(t.risk.momentum, 'x').padStart(10)
+    );
+  }
+  
+  console.log('═'.repeat(88));
+  console.log(' Per-trade ratios; Momentum = last 30d avg return / all-time avg; "-" = under 5 dated trades');
+  
+  console.log('\n' + '═'.repeat(88));
+  console.log(' SPECIALIZATION');
+  console.log('═'.repeat(88));
+  console.log(
+    'Rank'.padEnd(6) +
+    'Trader'.padEnd(22) +
+    'Top Category'.padEnd(14) +
+    'Proven Edge In'
+  );
+  console.log('─'.repeat(88));
+  
+  for (let i = 0; i < Math.min(30, topEdge.length); i++) {
+    const t = topEdge[i];
+    const proven = t.specialization.proven.map(name => {
+      const c = t.specialization.categories[name];
+      return c.efficiency != null ? `${name} (${c.trades}, ${c.efficiency >= 0 ? '+' : ''}${(c.efficiency * 100).toFixed(0)}%)` : name;
+    });
+    console.log(
+      `#${i + 1}`.padEnd(6) +
+      t.userName.slice(0, 20).padEnd(22) +
+      (t.specialization.topCategory || '-').padEnd(14) +
+      (proven.join(', ') || 'none')
+    );
+  }
+  
+  console.log('═'.repeat(88));
+  console.log(` Proven = profitable over ${DEFAULT_EDGE_CRITERIA.minTrades}+ closed trades or on the category leaderboard; (trades, PnL / cost)`);
+  
+  console.log('\n' + '═'.repeat(93));
+  console.log(' TRADING STYLE');
+  console.log('═'.repeat(93));
+  console.log(
+    'Rank'.padEnd(6) +
+    'Trader'.padEnd(22) +
+    'Style'.padEnd(11) +
+    'Hold'.padStart(8) +
+    'Resolved'.padStart(10) +
+    'Avg Entry'.padStart(11) +
+    'Size/Port'.padStart(11) +
+    'Trades/Wk'.padStart(11)
+  );
+  console.log('─'.repeat(93));
+  
+  for (let i = 0; i < Math.min(30, topEdge.length); i++) {
+    const t = topEdge[i];
+    const s = t.style;
+    console.log(
+      `#${i + 1}`.padEnd(6) +
+      t.userName.slice(0, 20).padEnd(22) +
+      (s.label || '-').padEnd(11) +
+      formatHoldingTime(s.holding.medianHours).padStart(8) +
+      fmt(s.holding.heldToResolution != null ? Math.round(s.holding.heldToResolution * 100) : null, '%').padStart(10) +
+      fmt(s.entryPrice.avg != null ? Math.round(s.entryPrice.avg * 100) : null, '¢').padStart(11) +
+      fmt(s.positionSizePct, '%').padStart(11) +
+      fmt(s.tradesPerWeek).padStart(11)
+    );
+  }
+  
+  console.log('═'.repeat(93));
+  console.log(' Hold = median first buy to exit; Resolved = exits redeemed; Size/Port = median position / portfolio value');
+  console.log(`\nSaved ${topEdge.length} edge traders to ${EDGE_FILE} (run ${runId})`);
+  console.log(`Requests: ${formatRequestMetrics()}`);
   
   return topEdge;
 }
 
+function showCalibrationReport() {
+  if (!existsSync(EDGE_FILE)) {
+    console.log('No edge data yet. Run: npm run edge');
+    return;
+  }
+  const { fetchedAt, profile, traders } = JSON.parse(readFileSync(EDGE_FILE, 'utf-8'));
+  const calibrated = traders
+    .filter(t => t.calibration?.trades > 0)
+    .sort((a, b) => (b.calibration.alphaZ ?? -Infinity) - (a.calibration.alphaZ ?? -Infinity));
+  
+  const signed = v => v == null ? '-' : `${v >= 0 ? '+' : ''}${v}`;
+  const bucketCell = b => b.trades > 0 ? `${signed(b.excessWinRate)} (${b.trades})` : '-';
+  
+  console.log(`\nCalibration for ${calibrated.length} traders (${profile} profile, ${fetchedAt})`);
+  console.log('\n' + '═'.repeat(106));
+  console.log(' CALIBRATION - WIN RATE vs ENTRY PRICE');
+  console.log('═'.repeat(106));
+  console.log(
+    'Rank'.padEnd(6) +
+    'Trader'.padEnd(22) +
+    'n'.padStart(6) +
+    'Expected'.padStart(10) +
+    'Realized'.padStart(10) +
+    'Excess'.padStart(9) +
+    'z'.padStart(7) +
+    PRICE_BUCKETS.map(b => b.name[0].toUpperCase() + b.name.slice(1)).map(h => h.padStart(12)).join('')
+  );
+  console.log('─'.repeat(106));
+  
+  for (let i = 0; i < calibrated.length; i++) {
+    const t = calibrated[i];
+    const c = t.calibration;
+    console.log(
+      `#${i + 1}`.padEnd(6) +
+      t.userName.slice(0, 20).padEnd(22) +
+      `${c.trades}`.padStart(6) +
+      `${c.expectedWinRate}%`.padStart(10) +
+      `${c.realizedWinRate}%`.padStart(10) +
+      signed(c.excessWinRate).padStart(9) +
+      signed(c.alphaZ).padStart(7) +
+      PRICE_BUCKETS.map(b => bucketCell(c.buckets[b.name]).padStart(12)).join('')
+    );
+  }
+  
+  // Pooled across traders, weighted by trade count
+  console.log('─'.repeat(106));
+  for (const bucket of PRICE_BUCKETS) {
+    const rows = calibrated.map(t => t.calibration.buckets[bucket.name]).filter(b => b.trades > 0);
+    const n = rows.reduce((s, b) => s + b.trades, 0);
+    const avg = key => n > 0 ? Math.round(rows.reduce((s, b) => s + b[key] * b.trades, 0) / n * 10) / 10 : null;
+    console.log(
+      ` ${bucket.label}`.padEnd(28) +
+      `${n}`.padStart(6) +
+      (n > 0 ? `${avg('expectedWinRate')}%` : '-').padStart(10) +
+      (n > 0 ? `${avg('realizedWinRate')}%` : '-').padStart(10) +
+      signed(avg('excessWinRate')).padStart(9)
+    );
+  }
+  
+  console.log('═'.repeat(106));
+  console.log(' Expected = avg entry price; Excess = realized - expected (pts); z = excess wins in std devs');
+  console.log(' Bucket columns: excess pts (trades). Buying favorites that win at their price scores 0, not edge.');
+}
+
+function showHistory() {
+  const runs = listEdgeRuns();
+  if (runs.length === 0) {
+    console.log('No edge runs saved yet. Run: npm run edge');
+    return;
+  }
+  console.log(`\n${runs.length} edge runs (oldest first):\n`);
+  runs.forEach((id, i) => {
+    const run = loadEdgeRun(id);
+    const top = run.traders[0];
+    console.log(
+      `${i + 1}`.padStart(4) + '  ' +
+      id.padEnd(26) +
+      run.profile.padEnd(14) +
+      `${run.traders.length} traders`.padEnd(13) +
+      (top ? `top: ${top.userName} (${top.edgeScore})` : '')
+    );
+  });
+}
+
+function showDiff(fromRef = -2, toRef = -1) {
+  const from = loadEdgeRun(fromRef);
+  const to = loadEdgeRun(toRef);
+  if (!from || !to) {
+    const count = listEdgeRuns().length;
+    console.log(count < 2
+      ? `Need two saved runs to compare (have ${count}). Run: npm run edge`
+      : `Unknown run "${!from ? fromRef : toRef}". See: npm run edge:history`);
+    return;
+  }
+  const { changes, entered, dropped } = diffEdgeRuns(from, to);
+  const signed = v => `${v > 0 ? '+' : ''}${v}`;
+  
+  console.log(`\nEdge scores ${from.fetchedAt} (${from.profile}) → ${to.fetchedAt} (${to.profile})`);
+  if (from.profile !== to.profile) {
+    console.log('⚠️  Runs used different scoring profiles - deltas mix profile and performance changes');
+  }
+  
+  console.log('\n' + '═'.repeat(80));
+  console.log(' SCORE CHANGES');
+  console.log('═'.repeat(80));
+  console.log(
+    'Trader'.padEnd(24) +
+    'Before'.padStart(9) +
+    'After'.padStart(9) +
+    'Delta'.padStart(9) +
+    'Rank'.padStart(14) +
+    'Move'.padStart(8)
+  );
+  console.log('─'.repeat(80));
+  
+  changes.sort((a, b) => b.delta - a.delta);
+  for (const c of changes) {
+    console.log(
+      c.userName.slice(0, 22).padEnd(24) +
+      `${c.scoreBefore}`.padStart(9) +
+      `${c.scoreAfter}`.padStart(9) +
+      signed(c.delta).padStart(9) +
+      `#${c.rankBefore} → #${c.rankAfter}`.padStart(14) +
+      (c.rankChange === 0 ? '=' : signed(c.rankChange)).padStart(8)
+    );
+  }
+  if (changes.length === 0) {
+    console.log('  No traders in both runs');
+  }
+  
+  console.log('\n🆕 New entrants:');
+  for (const t of entered) {
+    console.log(`  #${t.rank} ${t.userName} (${t.edgeScore})`);
+  }
+  if (entered.length === 0) console.log('  none');
+  
+  console.log('\n👋 Dropped out:');
+  for (const t of dropped) {
+    console.log(`  was #${t.rank} ${t.userName} (${t.edgeScore})`);
+  }
+  if (dropped.length === 0) console.log('  none');
+}
+
 // Run if called directly
-const args = process.argv.slice(2);
-const minVol = parseInt(args[0]) || 50000;
-const topN = parseInt(args[1]) || 50;
+const args = process.argv.slice(2).filter(a => !a.startsWith('--'));
 
-detectEdgeTraders(minVol, topN).catch(console.error);
+if (args[0] === 'calibration') {
+  showCalibrationReport();
+} else if (args[0] === 'history') {
+  showHistory();
+} else if (args[0] === 'diff') {
+  showDiff(args[1], args[2]);
+} else {
+  const minVol = parseInt(args[0]) || 50000;
+  const topN = parseInt(args[1]) || 50;
+  const profileName = resolveProfileName(process.argv.slice(2), process.env.SCORING_PROFILE);
+  const samplingMode = resolveSamplingMode(process.argv.slice(2), process.env.POLYMARKET_SAMPLE_MODE);
+  const styleFilter = parseStyleFilter(process.argv.slice(2));
+  
+  detectEdgeTraders(minVol, topN, profileName, samplingMode, styleFilter).catch(console.error);
+}
 
 export { detectEdgeTraders, calculateEdgeScore };
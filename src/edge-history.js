@@ -0,0 +1,185 @@
+/**
+ * Edge score history - one snapshot per edge-detector run
+ *
+ * edge-traders.json only holds the latest run. Each run is also written to
+ * data/edge-history/ under its timestamp, so scores can be compared run
+ * over run: who is rising, who is decaying, who entered or dropped out.
+ * Snapshots keep just what's needed to compare (score, rank, headline stats).
+ */
+
+import { writeFileSync, readFileSync, readdirSync, existsSync, mkdirSync } from 'fs';
+
+const DATA_DIR = './data';
+const HISTORY_DIR = `${DATA_DIR}/edge-history`;
+
+// Runs compared when measuring decay
+export const DEFAULT_DECAY_RUNS = 3;
+
+/**
+ * Max edge decay in points from `--max-decay=<points>` in args, else the
+ * env value, else null (no decay filter)
+ * @param {string[]} args
+ * @param {string} envValue - e.g. process.env.MAX_EDGE_DECAY
+ */
+export function resolveMaxDecay(args = [], envValue) {
+  const flag = args.find(a => a.startsWith('--max-decay='));
+  const value = flag ? flag.slice('--max-decay='.length) : envValue;
+  if (value == null || value === '') return null;
+  const points = parseFloat(value);
+  if (!Number.isFinite(points) || points < 0) {
+    throw new Error(`Invalid max decay "${value}" (expected points, e.g. --max-decay=10)`);
+  }
+  return points;
+}
+
+function runId(fetchedAt) {
+  return fetchedAt.replace(/[:.]/g, '-');
+}
+
+/**
+ * Save a run's scores to the history
+ * @param {Object} result - What detectEdgeTraders writes to edge-traders.json
+ * @returns {string} Run id
+ */
+export function saveEdgeRun(result) {
+  if (!existsSync(HISTORY_DIR)) {
+    mkdirSync(HISTORY_DIR, { recursive: true });
+  }
+  const id = runId(result.fetchedAt);
+  const snapshot = {
+    id,
+    fetchedAt: result.fetchedAt,
+    profile: result.profile,
+    samplingMode: result.samplingMode,
+    styleFilter: result.styleFilter ?? null,
+    traders: result.traders.map((t, i) => ({
+      wallet: t.wallet,
+      userName: t.userName,
+      rank: i + 1,
+      edgeScore: t.edgeScore,
+      rawEdgeScore: t.rawEdgeScore,
+      efficiencyPct: t.stats?.efficiencyPct ?? null,
+      winRate: t.stats?.winRate ?? null,
+      pnl: t.stats?.pnl ?? null
+    }))
+  };
+  writeFileSync(`${HISTORY_DIR}/${id}.json`, JSON.stringify(snapshot, null, 2));
+  return id;
+}
+
+/**
+ * Run ids, oldest first
+ */
+export function listEdgeRuns() {
+  if (!existsSync(HISTORY_DIR)) return [];
+  return readdirSync(HISTORY_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => f.slice(0, -'.json'.length))
+    .sort();
+}
+
+/**
+ * Load a run by id or by its 1-based position in listEdgeRuns(); negative
+ * numbers count back from the latest (-1 = latest)
+ * @param {string|number} ref
+ * @returns {Object|null}
+ */
+export function loadEdgeRun(ref) {
+  const runs = listEdgeRuns();
+  let id = String(ref);
+  if (/^-?\d+$/.test(id)) {
+    const n = parseInt(id);
+    id = n < 0 ? runs[runs.length + n] : runs[n - 1];
+  }
+  if (!id || !runs.includes(id)) return null;
+  return JSON.parse(readFileSync(`${HISTORY_DIR}/${id}.json`, 'utf-8'));
+}
+
+/**
+ * Compare two runs
+ * @returns {{ changes: Object[], entered: Object[], dropped: Object[] }}
+ *   changes - traders in both runs, with score delta and rank change (positive = moved up)
+ */
+export function diffEdgeRuns(from, to) {
+  const before = new Map(from.traders.map(t => [t.wallet, t]));
+  const after = new Map(to.traders.map(t => [t.wallet, t]));
+  
+  const changes = [];
+  const entered = [];
+  for (const t of to.traders) {
+    const prev = before.get(t.wallet);
+    if (!prev) {
+      entered.push(t);
+      continue;
+    }
+    changes.push({
+      wallet: t.wallet,
+      userName: t.userName,
+      scoreBefore: prev.edgeScore,
+      scoreAfter: t.edgeScore,
+      delta: Math.round((t.edgeScore - prev.edgeScore) * 10) / 10,
+      rankBefore: prev.rank,
+      rankAfter: t.rank,
+      rankChange: prev.rank - t.rank
+    });
+  }
+  const dropped = from.traders.filter(t => !after.has(t.wallet));
+  
+  return { changes, entered, dropped };
+}
+
+/**
+ * Score change for each trader across the last `runs` runs: latest score
+ * minus their score in the oldest of those runs they appear in
+ * @returns {Map<string, { from: number, to: number, delta: number, runs: number }>} wallet -> trend
+ */
+export function loadEdgeTrends(runs = DEFAULT_DECAY_RUNS) {
+  const snapshots = listEdgeRuns().slice(-runs).map(id => loadEdgeRun(id));
+  const trends = new Map();
+  for (const snapshot of snapshots) {
+    for (const t of snapshot.traders) {
+      const trend = trends.get(t.wallet);
+      if (!trend) {
+        trends.set(t.wallet, { from: t.edgeScore, to: t.edgeScore, delta: 0, runs: 1 });
+      } else {
+        trend.to = t.edgeScore;
+        trend.delta = Math.round((trend.to - trend.from) * 10) / 10;
+        trend.runs++;
+      }
+    }
+  }
+  return trends;
+}
+
+/**
+ * Split traders into kept and decaying: those whose edge score fell by more
+ * than maxDecay points over the last `runs` runs. Traders without history pass.
+ * @param {Object[]} traders - Need `wallet`; `userName`/`name` for logging
+ * @param {Object} options
+ * @param {number|null} options.maxDecay - Points; null keeps everyone
+ * @param {number} options.runs
+ * @returns {{ kept: Object[], decaying: { wallet: string, userName: string, from: number, to: number, delta: number, runs: number }[] }}
+ */
+export function excludeDecayingTraders(traders, { maxDecay = null, runs = DEFAULT_DECAY_RUNS } = {}) {
+  if (maxDecay == null) {
+    return { kept: traders, decaying: [] };
+  }
+  
+  const trends = loadEdgeTrends(runs);
+  const kept = [];
+  const decaying = [];
+  for (const trader of traders) {
+    const trend = trends.get(trader.wallet);
+    if (trend && trend.runs > 1 && -trend.delta > maxDecay) {
+      const name = trader.userName || trader.name || trader.wallet.slice(0, 10);
+      decaying.push({ wallet: trader.wallet, userName: name, from: trend.from, to: trend.to, delta: trend.delta, runs: trend.runs });
+    } else {
+      kept.push(trader);
+    }
+  }
+  
+  for (const { userName, from, to, runs: seen } of decaying) {
+    console.log(`  📉 Dropping ${userName}: edge score ${from} → ${to} over ${seen} runs`);
+  }
+  return { kept, decaying };
+}
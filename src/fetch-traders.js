@@ -4,11 +4,17 @@
  */
 
 import { writeFileSync, mkdirSync, existsSync } from 'fs';
-import { fetchAllLeaderboard, fetchUserStats, fetchClosedPositions } from './api.js';
+import { fetchAllLeaderboard, fetchUserStats, fetchUserValue, sampleClosedPositions, iterateActivity, collect, formatRequestMetrics } from './api.js';
+import { normalizeAll, normalizeClosedPosition, normalizeActivity } from './models.js';
+import { summarizeClosedPositions } from './scoring.js';
+import { resolveSamplingMode } from './sampling.js';
+import { classifyStyle, portfolioValueOf } from './style.js';
 
 const DATA_DIR = './data';
 
 async function main() {
+  const samplingMode = resolveSamplingMode(process.argv.slice(2), process.env.POLYMARKET_SAMPLE_MODE);
+  
   if (!existsSync(DATA_DIR)) {
     mkdirSync(DATA_DIR, { recursive: true });
   }
@@ -70,7 +76,7 @@ async function main() {
   console.log(`Indexed ${traders.length} unique traders to ${DATA_DIR}/traders.json`);
 
   // Fetch detailed stats for top traders
-  console.log('\nFetching detailed stats for top 50 traders...');
+  console.log(`\nFetching detailed stats for top 50 traders (${samplingMode} closed-position sample)...`);
   const topTraders = allData.all.byPnl.slice(0, 50);
   const detailedStats = [];
 
@@ -79,29 +85,34 @@ async function main() {
     console.log(`  [${i + 1}/${topTraders.length}] ${trader.userName}...`);
     
     try {
-      const [stats, closedPositions] = await Promise.all([
+      const [stats, closedSample, activityRaw, valueRaw] = await Promise.all([
         fetchUserStats(trader.proxyWallet).catch(() => null),
-        fetchClosedPositions(trader.proxyWallet, { limit: 100 }).catch(() => [])
+        // This runs as the Vercel build - skip counting each trader's full history
+        sampleClosedPositions(trader.proxyWallet, { mode: samplingMode, maxItems: 1000, countTotal: false }).catch(() => null),
+        collect(iterateActivity(trader.proxyWallet, { maxItems: 500 })).catch(() => []),
+        fetchUserValue(trader.proxyWallet).catch(() => null)
       ]);
+      const { items: closedPositions } = normalizeAll(closedSample?.items || [], normalizeClosedPosition, { source: 'closed position' });
+      const { items: activity } = normalizeAll(activityRaw, normalizeActivity, { source: 'activity' });
 
       // Calculate win rate from closed positions
-      const wins = closedPositions.filter(p => p.realizedPnl > 0).length;
-      const losses = closedPositions.filter(p => p.realizedPnl < 0).length;
-      const winRate = wins + losses > 0 ? wins / (wins + losses) : null;
+      const summary = summarizeClosedPositions(closedPositions);
 
       detailedStats.push({
         ...trader,
         stats,
-        winRate,
-        totalTrades: wins + losses,
-        wins,
-        losses,
-        avgWin: wins > 0 ? closedPositions.filter(p => p.realizedPnl > 0).reduce((s, p) => s + p.realizedPnl, 0) / wins : 0,
-        avgLoss: losses > 0 ? closedPositions.filter(p => p.realizedPnl < 0).reduce((s, p) => s + p.realizedPnl, 0) / losses : 0
+        winRate: summary.winRate,
+        winRateLower: summary.winRateLower,
+        winRateUpper: summary.winRateUpper,
+        sampleSize: summary.sampleSize,
+        totalTrades: summary.totalTrades,
+        wins: summary.wins,
+        losses: summary.losses,
+        avgWin: summary.avgWin,
+        avgLoss: -summary.avgLoss,
+        sample: closedSample?.sample || null,
+        style: classifyStyle({ activity, closedPositions, portfolioValue: portfolioValueOf(valueRaw) })
       });
-
-      // Rate limit
-      await new Promise(r => setTimeout(r, 300));
     } catch (err) {
       console.log(`    Error: ${err.message}`);
     }
@@ -109,6 +120,7 @@ async function main() {
 
   writeFileSync(`${DATA_DIR}/top-traders-detailed.json`, JSON.stringify(detailedStats, null, 2));
   console.log(`\nSaved detailed stats to ${DATA_DIR}/top-traders-detailed.json`);
+  console.log(`Requests: ${formatRequestMetrics()}`);
 }
 
 main().catch(console.error);
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Market metadata client (Gamma API) and local market catalog
+ *
+ * The catalog in data/markets.json is keyed by conditionId so positions,
+ * signals and alerts can be enriched with category, end date, resolution
+ * and liquidity without refetching. Resolved markets never go stale; open
+ * ones are refreshed after CATALOG_MAX_AGE.
+ *
+ * Usage:
+ *   node src/markets.js sync            - Catalog every market in signals/edge data
+ *   node src/markets.js <conditionId>   - Show one market
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { request } from './api.js';
+import { normalizeAll, normalizeMarket } from './models.js';
+
+const GAMMA_URL = 'https://gamma-api.polymarket.com';
+const DATA_DIR = './data';
+const CATALOG_FILE = `${DATA_DIR}/markets.json`;
+
+// Refresh open markets older than this (ms)
+const CATALOG_MAX_AGE = 60 * 60 * 1000;
+// condition_ids per Gamma request
+const BATCH_SIZE = 20;
+
+/**
+ * Fetch markets from Gamma
+ * @param {Object} options
+ * @param {string[]} options.conditionIds - Fetch these markets only
+ * @param {boolean} options.closed - Filter by closed status
+ * @param {number} options.limit
+ * @param {number} options.offset
+ */
+export async function fetchMarkets({ conditionIds = [], closed, limit = 100, offset = 0 } = {}) {
+  const params = new URLSearchParams({
+    limit: String(conditionIds.length || limit),
+    offset: String(offset)
+  });
+  for (const id of conditionIds) {
+    params.append('condition_ids', id);
+  }
+  if (closed != null) {
+    params.set('closed', String(closed));
+  }
+  
+  const url = `${GAMMA_URL}/markets?${params}`;
+  const raw = await request(url, { endpoint: 'markets', label: 'Markets' });
+  return normalizeAll(raw, normalizeMarket, { source: 'market' }).items;
+}
+
+export function loadMarketCatalog() {
+  if (!existsSync(CATALOG_FILE)) return {};
+  return JSON.parse(readFileSync(CATALOG_FILE, 'utf-8'));
+}
+
+function saveMarketCatalog(catalog) {
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+  writeFileSync(CATALOG_FILE, JSON.stringify(catalog, null, 2));
+}
+
+function isStale(entry) {
+  if (!entry) return true;
+  if (entry.winningOutcome != null) return false;
+  return Date.now() - new Date(entry.fetchedAt).getTime() > CATALOG_MAX_AGE;
+}
+
+/**
+ * Look up markets by conditionId, fetching any that are missing or stale
+ * and saving them to the catalog. Markets Gamma doesn't know are left out.
+ * @param {string[]} conditionIds
+ * @param {Object} options
+ * @param {boolean} options.refresh - Refetch even fresh entries
+ * @returns {Promise<Object<string, Object>>} conditionId -> market
+ */
+export async function getMarkets(conditionIds, { refresh = false } = {}) {
+  const catalog = loadMarketCatalog();
+  const ids = [...new Set(conditionIds.filter(Boolean))];
+  const toFetch = ids.filter(id => refresh || isStale(catalog[id]));
+  
+  for (let i = 0; i < toFetch.length; i += BATCH_SIZE) {
+    const batch = toFetch.slice(i, i + BATCH_SIZE);
+    try {
+      const markets = await fetchMarkets({ conditionIds: batch });
+      const fetchedAt = new Date().toISOString();
+      for (const market of markets) {
+        catalog[market.conditionId] = { ...market, fetchedAt };
+      }
+    } catch (err) {
+      console.error(`Market lookup failed: ${err.message}`);
+    }
+  }
+  
+  if (toFetch.length > 0) {
+    saveMarketCatalog(catalog);
+  }
+  
+  const result = {};
+  for (const id of ids) {
+    if (catalog[id]) result[id] = catalog[id];
+  }
+  return result;
+}
+
+/**
+ * Compact market context for attaching to signals, alerts and positions
+ */
+export function marketContext(market) {
+  if (!market) return null;
+  return {
+    category: market.category,
+    endDate: market.endDate ? new Date(market.endDate).toISOString() : null,
+    resolutionStatus: market.resolutionStatus,
+    winningOutcome: market.winningOutcome,
+    liquidity: Math.round(market.liquidity),
+    volume: Math.round(market.volume)
+  };
+}
+
+function collectKnownConditionIds() {
+  const ids = [];
+  const read = file => existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')) : null;
+  
+  const signals = read(`${DATA_DIR}/signals.json`) || [];
+  ids.push(...signals.map(s => s.conditionId));
+  
+  const edge = read(`${DATA_DIR}/edge-traders.json`);
+  for (const trader of edge?.traders || []) {
+    ids.push(...(trader.currentPositions || []).map(p => p.conditionId));
+  }
+  
+  return ids.filter(Boolean);
+}
+
+async function syncCatalog() {
+  const ids = collectKnownConditionIds();
+  console.log(`Syncing ${new Set(ids).size} markets to ${CATALOG_FILE}...`);
+  const markets = await getMarkets(ids);
+  const resolved = Object.values(markets).filter(m => m.winningOutcome != null).length;
+  console.log(`Catalog has ${Object.keys(markets).length} of them (${resolved} resolved)`);
+}
+
+async function showMarket(conditionId) {
+  const market = (await getMarkets([conditionId]))[conditionId];
+  if (!market) {
+    console.log('Market not found');
+    return;
+  }
+  console.log(`\n${market.question}`);
+  console.log(`  Category:   ${market.category || '-'}${market.tags.length ? ` (${market.tags.join(', ')})` : ''}`);
+  console.log(`  Ends:       ${market.endDate ? new Date(market.endDate).toISOString().slice(0, 10) : '-'}`);
+  console.log(`  Status:     ${market.resolutionStatus}${market.winningOutcome ? ` → ${market.winningOutcome}` : ''}`);
+  console.log(`  Outcomes:   ${market.outcomes.map((o, i) => `${o} ${((market.outcomePrices[i] || 0) * 100).toFixed(1)}¢`).join(' / ')}`);
+  console.log(`  Liquidity:  $${Math.round(market.liquidity).toLocaleString()}`);
+  console.log(`  Volume:     $${Math.round(market.volume).toLocaleString()}`);
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2).filter(a => !a.startsWith('--'));
+  
+  if (args[0] === 'sync') {
+    syncCatalog().catch(console.error);
+  } else if (args[0]) {
+    showMarket(args[0]).catch(console.error);
+  } else {
+    console.log('Usage: node src/markets.js sync | <conditionId>');
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Normalized models for Polymarket API payloads
+ *
+ * The data API mixes unix seconds with ISO strings and spreads sizes and
+ * market names across different fields per endpoint. Each normalizer maps a
+ * raw record to one consistent shape and reports missing or malformed fields
+ * instead of letting NaN/undefined leak into the stats.
+ *
+ * No fs or Node-only imports here - the api/ edge functions use this too.
+ */
+
+/**
+ * Convert unix seconds, unix ms or a date string to ms. Returns null if invalid.
+ */
+export function toMillis(ts) {
+  if (ts == null || ts === '') return null;
+  if (typeof ts === 'number' || /^\d+$/.test(ts)) {
+    const n = Number(ts);
+    if (!Number.isFinite(n)) return null;
+    return n < 10000000000 ? n * 1000 : n;
+  }
+  const ms = new Date(ts).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function num(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function str(value) {
+  return typeof value === 'string' && value.length > 0 ? value : null;
+}
+
+function marketTitle(raw) {
+  return str(raw.title) || str(raw.eventTitle) || str(raw.market) || str(raw.slug) || str(raw.eventSlug);
+}
+
+function result(value, required) {
+  const errors = required
+    .filter(key => value[key] == null)
+    .map(key => `missing or invalid ${key}`);
+  return { value: errors.length === 0 ? value : null, errors };
+}
+
+/**
+ * Leaderboard entry
+ * @returns {{ value: Object|null, errors: string[] }}
+ */
+export function normalizeLeaderboardEntry(raw) {
+  return result({
+    wallet: str(raw.proxyWallet),
+    rank: num(raw.rank),
+    userName: str(raw.userName) || (str(raw.proxyWallet) || '').slice(0, 10),
+    pnl: num(raw.pnl),
+    volume: num(raw.vol) ?? 0,
+    profileImage: raw.profileImage || null,
+    xUsername: raw.xUsername || null,
+    verifiedBadge: Boolean(raw.verifiedBadge)
+  }, ['wallet', 'pnl']);
+}
+
+/**
+ * Open position. usdSize is the current value, else shares x curPrice; null
+ * when neither is known, so callers decide how to treat an unknown size.
+ * @returns {{ value: Object|null, errors: string[] }}
+ */
+export function normalizePosition(raw) {
+  const shares = num(raw.size);
+  const curPrice = num(raw.curPrice);
+  return result({
+    wallet: str(raw.proxyWallet),
+    conditionId: str(raw.conditionId),
+    asset: str(raw.asset),
+    title: marketTitle(raw),
+    slug: str(raw.slug),
+    eventSlug: str(raw.eventSlug),
+    outcome: str(raw.outcome),
+    outcomeIndex: num(raw.outcomeIndex),
+    shares,
+    usdSize: num(raw.currentValue) ?? (shares != null && curPrice != null ? shares * curPrice : null),
+    avgPrice: num(raw.avgPrice),
+    curPrice,
+    initialValue: num(raw.initialValue),
+    cashPnl: num(raw.cashPnl) ?? 0,
+    realizedPnl: num(raw.realizedPnl) ?? 0,
+    endDate: toMillis(raw.endDate)
+  }, ['conditionId', 'outcome', 'shares']);
+}
+
+/**
+ * Closed position. usdSize is the cost basis (shares bought x avg price).
+ * @returns {{ value: Object|null, errors: string[] }}
+ */
+export function normalizeClosedPosition(raw) {
+  const totalBought = num(raw.totalBought);
+  const avgPrice = num(raw.avgPrice);
+  return result({
+    wallet: str(raw.proxyWallet),
+    conditionId: str(raw.conditionId),
+    asset: str(raw.asset),
+    title: marketTitle(raw),
+    slug: str(raw.slug),
+    eventSlug: str(raw.eventSlug),
+    outcome: str(raw.outcome),
+    outcomeIndex: num(raw.outcomeIndex),
+    avgPrice,
+    curPrice: num(raw.curPrice),
+    totalBought,
+    usdSize: totalBought != null && avgPrice != null ? totalBought * avgPrice : null,
+    realizedPnl: num(raw.realizedPnl),
+    timestamp: toMillis(raw.timestamp),
+    endDate: toMillis(raw.endDate)
+  }, ['conditionId', 'realizedPnl']);
+}
+
+/**
+ * Activity record (trades, redeems, splits...). usdSize prefers usdcSize,
+ * then shares x price, then the raw size.
+ * @returns {{ value: Object|null, errors: string[] }}
+ */
+export function normalizeActivity(raw) {
+  const shares = num(raw.size);
+  const price = num(raw.price);
+  const type = str(raw.type) ? raw.type.toUpperCase() : null;
+  const side = str(raw.side) ? raw.side.toUpperCase()
+    : type === 'BUY' || type === 'SELL' ? type
+    : null;
+  return result({
+    wallet: str(raw.proxyWallet),
+    timestamp: toMillis(raw.timestamp),
+    type,
+    side,
+    conditionId: str(raw.conditionId),
+    asset: str(raw.asset),
+    title: marketTitle(raw),
+    slug: str(raw.slug),
+    eventSlug: str(raw.eventSlug),
+    outcome: str(raw.outcome),
+    outcomeIndex: num(raw.outcomeIndex),
+    price,
+    shares,
+    usdSize: num(raw.usdcSize) ?? (shares != null && price != null ? shares * price : shares),
+    transactionHash: str(raw.transactionHash)
+  }, ['timestamp', 'usdSize']);
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Gamma market metadata. outcomes, outcomePrices and clobTokenIds arrive as
+ * JSON-encoded strings; winningOutcome is set once a closed market has a
+ * settled (1.0) price.
+ * @returns {{ value: Object|null, errors: string[] }}
+ */
+export function normalizeMarket(raw) {
+  const outcomes = parseList(raw.outcomes);
+  const outcomePrices = parseList(raw.outcomePrices).map(num);
+  const event = Array.isArray(raw.events) ? raw.events[0] : null;
+  const tags = [...(raw.tags || []), ...(event?.tags || [])]
+    .map(t => (typeof t === 'string' ? t : t?.label))
+    .filter(Boolean);
+  const closed = Boolean(raw.closed);
+  const winnerIndex = closed ? outcomePrices.findIndex(p => p != null && p >= 0.99) : -1;
+  
+  return result({
+    conditionId: str(raw.conditionId),
+    question: str(raw.question) || str(raw.title),
+    slug: str(raw.slug),
+    eventSlug: str(event?.slug),
+    category: str(raw.category) || str(event?.category) || tags[0] || null,
+    tags: [...new Set(tags)],
+    endDate: toMillis(raw.endDate),
+    closedTime: toMillis(raw.closedTime),
+    closed,
+    resolutionStatus: str(raw.umaResolutionStatus) || (winnerIndex >= 0 ? 'resolved' : closed ? 'closed' : 'open'),
+    winningOutcome: winnerIndex >= 0 ? outcomes[winnerIndex] ?? null : null,
+    outcomes,
+    outcomePrices,
+    tokenIds: parseList(raw.clobTokenIds),
+    liquidity: num(raw.liquidityNum) ?? num(raw.liquidity) ?? 0,
+    volume: num(raw.volumeNum) ?? num(raw.volume) ?? 0
+  }, ['conditionId', 'question']);
+}
+
+/**
+ * Normalize a list of raw records, splitting out the malformed ones.
+ * Invalid records are passed to onInvalid (defaults to a one-line warning).
+ * @param {Object[]} records
+ * @param {Function} normalizer - One of the normalize* functions
+ * @param {Object} options
+ * @param {string} options.source - Name used in the warning, e.g. 'activity'
+ * @param {Function} options.onInvalid
+ * @returns {{ items: Object[], invalid: { record: Object, errors: string[] }[] }}
+ */
+export function normalizeAll(records, normalizer, { source = 'records', onInvalid = warnInvalid } = {}) {
+  const items = [];
+  const invalid = [];
+  
+  for (const record of Array.isArray(records) ? records : []) {
+    const { value, errors } = record && typeof record === 'object'
+      ? normalizer(record)
+      : { value: null, errors: ['not an object'] };
+    if (value) {
+      items.push(value);
+    } else {
+      invalid.push({ record, errors });
+    }
+  }
+  
+  if (invalid.length > 0 && onInvalid) {
+    onInvalid(source, invalid);
+  }
+  
+  return { items, invalid };
+}
+
+function warnInvalid(source, invalid) {
+  const reasons = [...new Set(invalid.flatMap(i => i.errors))].join(', ');
+  console.warn(`Skipped ${invalid.length} malformed ${source} record(s): ${reasons}`);
+}
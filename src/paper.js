@@ -0,0 +1,194 @@
+/**
+ * Paper trading - a simulated portfolio that follows copy signals
+ *
+ * Every `npm run copy` feeds its new signals in: BUY signals open positions
+ * at the live ask (per the sizing rule), SELL signals close them at the
+ * bid, and each run marks open positions to the midpoint and settles
+ * resolved markets. The ledger lives in data/paper-portfolio.json.
+ *
+ * Sizing rules (--paper-sizing=<rule> or PAPER_SIZING):
+ *   fixed:500        - $500 per signal (default)
+ *   percent:0.02     - 2% of current equity per signal
+ *   confidence:1000  - $1000 x signal confidence
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { fetchMidpoint } from './clob.js';
+import { getMarkets } from './markets.js';
+import {
+  DEFAULT_SIZING, parseSizingRule, createPortfolio, applySignal,
+  markToMarket, recordEquity, summarizePortfolio
+} from './portfolio.js';
+
+const DATA_DIR = './data';
+const PAPER_FILE = `${DATA_DIR}/paper-portfolio.json`;
+
+const CONFIG = {
+  startingCash: parseFloat(process.env.PAPER_STARTING_CASH) || 10000,
+  // Equity points kept in the ledger
+  maxEquityPoints: 1000
+};
+
+/**
+ * Sizing rule from `--paper-sizing=<rule>` in args, else the env value, else
+ * null (keep the portfolio's current rule). Throws on an invalid rule.
+ */
+export function resolvePaperSizing(args = [], envValue) {
+  const flag = args.find(a => a.startsWith('--paper-sizing='));
+  const rule = flag ? flag.slice('--paper-sizing='.length) : envValue || null;
+  if (rule) parseSizingRule(rule);
+  return rule;
+}
+
+export function loadPaperPortfolio() {
+  if (!existsSync(PAPER_FILE)) return null;
+  return JSON.parse(readFileSync(PAPER_FILE, 'utf-8'));
+}
+
+function savePaperPortfolio(portfolio) {
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+  portfolio.equity = portfolio.equity.slice(-CONFIG.maxEquityPoints);
+  writeFileSync(PAPER_FILE, JSON.stringify(portfolio, null, 2));
+}
+
+/**
+ * Start a fresh paper portfolio, replacing any existing one
+ */
+export function resetPaperPortfolio(sizing = null) {
+  const portfolio = createPortfolio({ startingCash: CONFIG.startingCash, sizing: sizing || DEFAULT_SIZING });
+  savePaperPortfolio(portfolio);
+  return portfolio;
+}
+
+function cents(p) {
+  return `${(p * 100).toFixed(1)}¢`;
+}
+
+/**
+ * Apply new signals, then mark and settle open positions
+ * @param {Object[]} signals - Signals from this run, with priceContext where available
+ * @param {Object} options
+ * @param {string|null} options.sizing - Sizing rule; null keeps the portfolio's
+ */
+export async function updatePaperPortfolio(signals, { sizing = null } = {}) {
+  const portfolio = loadPaperPortfolio() || createPortfolio({ startingCash: CONFIG.startingCash, sizing: sizing || DEFAULT_SIZING });
+  if (sizing) portfolio.sizing = sizing;
+  const now = Date.now();
+  
+  for (const signal of signals) {
+    const ctx = signal.priceContext;
+    // Buys pay the ask (or the estimated fill for a copy-sized order), sells hit the bid
+    const { opened, closed } = applySignal(portfolio, signal, {
+      entryPrice: ctx?.copyFill?.avgPrice ?? ctx?.bestAsk ?? ctx?.currentPrice ?? signal.avgPrice,
+      exitPrice: ctx?.bestBid ?? ctx?.currentPrice ?? signal.avgPrice,
+      now
+    });
+    if (opened) {
+      console.log(`  📝 Paper BUY ${opened.outcome} on ${opened.market}: $${Math.round(opened.cost).toLocaleString()} @ ${cents(opened.entryPrice)}`);
+    }
+    for (const p of closed) {
+      console.log(`  📝 Paper SELL ${p.outcome} on ${p.market} @ ${cents(p.exitPrice)}: ${p.pnl >= 0 ? '+' : '-'}$${Math.abs(Math.round(p.pnl)).toLocaleString()}`);
+    }
+  }
+  
+  // Settle resolved markets, mark the rest to the midpoint
+  const markets = await getMarkets(portfolio.positions.map(p => p.conditionId));
+  const prices = new Map();
+  for (const p of portfolio.positions) {
+    if (!p.asset || markets[p.conditionId]?.winningOutcome) continue;
+    try {
+      prices.set(p.asset, await fetchMidpoint(p.asset));
+    } catch (err) {
+      console.error(`Paper mark failed for ${p.market}: ${err.message}`);
+    }
+  }
+  const settled = markToMarket(portfolio, p => ({
+    price: prices.get(p.asset) ?? null,
+    winningOutcome: markets[p.conditionId]?.winningOutcome ?? null
+  }), now);
+  for (const p of settled) {
+    console.log(`  📝 Paper settled ${p.outcome} on ${p.market} at ${p.exitPrice === 1 ? 'WIN' : 'LOSS'}: ${p.pnl >= 0 ? '+' : '-'}$${Math.abs(Math.round(p.pnl)).toLocaleString()}`);
+  }
+  
+  recordEquity(portfolio, now);
+  savePaperPortfolio(portfolio);
+  
+  const summary = summarizePortfolio(portfolio);
+  console.log(`Paper portfolio: $${Math.round(summary.equity).toLocaleString()} equity (${summary.returnPct >= 0 ? '+' : ''}${(summary.returnPct * 100).toFixed(1)}%), ${summary.openPositions} open`);
+  return portfolio;
+}
+
+const SPARK = '▁▂▃▄▅▆▇█';
+
+function sparkline(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map(v => SPARK[max > min ? Math.round((v - min) / (max - min) * (SPARK.length - 1)) : 0]).join('');
+}
+
+function signedUsd(n) {
+  return `${n >= 0 ? '+' : '-'}$${Math.abs(Math.round(n)).toLocaleString()}`;
+}
+
+/**
+ * Print the paper portfolio: summary, equity curve and per-signal results
+ */
+export function showPaperReport() {
+  const portfolio = loadPaperPortfolio();
+  if (!portfolio) {
+    console.log('No paper portfolio yet. It starts with the next: npm run copy');
+    return;
+  }
+  const s = summarizePortfolio(portfolio);
+  
+  console.log('\n' + '='.repeat(80));
+  console.log(`📝 PAPER PORTFOLIO (since ${portfolio.startedAt.slice(0, 10)}, sizing ${portfolio.sizing})`);
+  console.log('='.repeat(80));
+  console.log(`  Equity:      $${Math.round(s.equity).toLocaleString()} (${s.returnPct >= 0 ? '+' : ''}${(s.returnPct * 100).toFixed(1)}% on $${s.startingCash.toLocaleString()})`);
+  console.log(`  Cash:        $${Math.round(s.cash).toLocaleString()}   Positions: $${Math.round(s.positionsValue).toLocaleString()}`);
+  console.log(`  Realized:    ${signedUsd(s.realizedPnl)}   Unrealized: ${signedUsd(s.unrealizedPnl)}`);
+  console.log(`  Closed:      ${s.closedPositions} (${s.wins}W/${s.losses}L${s.winRate != null ? `, ${(s.winRate * 100).toFixed(0)}% win rate` : ''})   Open: ${s.openPositions}`);
+  console.log(`  Max drawdown: ${(s.maxDrawdownPct * 100).toFixed(1)}%`);
+  
+  // Equity curve
+  const points = portfolio.equity;
+  console.log(`\n📈 EQUITY CURVE (${points.length} runs)`);
+  console.log(`  ${sparkline(points.slice(-72).map(p => p.equity))}`);
+  console.log('-'.repeat(80));
+  console.log('Time'.padEnd(22) + 'Equity'.padStart(14) + 'Cash'.padStart(14) + 'Positions'.padStart(14) + 'Change'.padStart(14));
+  console.log('-'.repeat(80));
+  const recent = points.slice(-10);
+  recent.forEach((p, i) => {
+    const prev = i > 0 ? recent[i - 1] : points[points.length - recent.length - 1];
+    console.log(
+      p.timestamp.slice(0, 16).replace('T', ' ').padEnd(22) +
+      `$${Math.round(p.equity).toLocaleString()}`.padStart(14) +
+      `$${Math.round(p.cash).toLocaleString()}`.padStart(14) +
+      `$${Math.round(p.positionsValue).toLocaleString()}`.padStart(14) +
+      (prev ? signedUsd(p.equity - prev.equity) : '-').padStart(14)
+    );
+  });
+  
+  // Per-signal results, open first
+  const rows = [
+    ...portfolio.positions.map(p => ({ ...p, status: 'open', exit: p.markPrice, pnl: p.shares * (p.markPrice ?? p.entryPrice) - p.cost })),
+    ...[...portfolio.closed].reverse().map(p => ({ ...p, status: p.reason === 'resolution' ? 'resolved' : 'sold', exit: p.exitPrice }))
+  ];
+  console.log(`\n🎯 SIGNAL RESULTS (${rows.length})`);
+  console.log('-'.repeat(80));
+  console.log('Market'.padEnd(26) + 'Outcome'.padEnd(10) + 'Status'.padEnd(9) + 'Entry'.padStart(8) + 'Exit/Mark'.padStart(10) + 'Cost'.padStart(8) + 'PnL'.padStart(9));
+  console.log('-'.repeat(80));
+  for (const r of rows) {
+    console.log(
+      (r.market || r.conditionId).slice(0, 24).padEnd(26) +
+      String(r.outcome).slice(0, 9).padEnd(10) +
+      r.status.padEnd(9) +
+      cents(r.entryPrice).padStart(8) +
+      (r.exit != null ? cents(r.exit) : '-').padStart(10) +
+      `$${Math.round(r.cost).toLocaleString()}`.padStart(8) +
+      signedUsd(r.pnl).padStart(9)
+    );
+  }
+}
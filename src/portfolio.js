@@ -0,0 +1,203 @@
+/**
+ * Simulated portfolio - what acting on copy signals would have done
+ *
+ * A portfolio is a plain object (cash, open positions, closed positions and
+ * an equity curve) that these functions update in place. BUY signals open a
+ * position sized by the sizing rule; SELL signals on the same outcome close
+ * it; resolved markets settle it at 1 or 0. Pure functions - paper.js
+ * persists a live portfolio, and replays can drive one from history.
+ */
+
+export const SIZING_MODES = {
+  fixed: 'USD per signal',
+  percent: 'share of current equity per signal',
+  confidence: 'USD per signal at 100% confidence, scaled down by confidence'
+};
+export const DEFAULT_SIZING = 'fixed:500';
+
+/**
+ * Parse a sizing rule like "fixed:500", "percent:0.02" or "confidence:1000"
+ * @returns {{ mode: string, value: number }}
+ */
+export function parseSizingRule(rule = DEFAULT_SIZING) {
+  const [mode, raw] = String(rule).split(':');
+  const value = parseFloat(raw);
+  if (!SIZING_MODES[mode] || !Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid sizing rule "${rule}" (use ${Object.keys(SIZING_MODES).map(m => `${m}:<n>`).join(', ')})`);
+  }
+  if (mode === 'percent' && value > 1) {
+    throw new Error(`Invalid sizing rule "${rule}" (percent is a fraction of equity, e.g. percent:0.02)`);
+  }
+  return { mode, value };
+}
+
+export function createPortfolio({ startingCash = 10000, sizing = DEFAULT_SIZING, now = Date.now() } = {}) {
+  return {
+    startedAt: new Date(now).toISOString(),
+    startingCash,
+    cash: startingCash,
+    sizing,
+    positions: [],
+    closed: [],
+    equity: [{ timestamp: new Date(now).toISOString(), equity: startingCash, cash: startingCash, positionsValue: 0 }]
+  };
+}
+
+function positionsValue(portfolio) {
+  return portfolio.positions.reduce((s, p) => s + p.shares * (p.markPrice ?? p.entryPrice), 0);
+}
+
+export function portfolioEquity(portfolio) {
+  return portfolio.cash + positionsValue(portfolio);
+}
+
+/**
+ * USD to put into a signal under the portfolio's sizing rule, capped at cash
+ */
+export function positionSize(portfolio, signal) {
+  const { mode, value } = parseSizingRule(portfolio.sizing);
+  const size = mode === 'fixed' ? value
+    : mode === 'percent' ? portfolioEquity(portfolio) * value
+    : value * (signal.confidence ?? 0);
+  return Math.min(size, portfolio.cash);
+}
+
+function isPrice(n) {
+  return n != null && n > 0 && n < 1;
+}
+
+/**
+ * Open a position for a BUY signal at price. Skipped (null) when the
+ * portfolio already holds the outcome, is out of cash or the price is unusable.
+ */
+export function openPosition(portfolio, signal, price, now = Date.now()) {
+  if (!isPrice(price)) return null;
+  if (portfolio.positions.some(p => p.conditionId === signal.conditionId && p.outcome === signal.outcome)) return null;
+  
+  const cost = positionSize(portfolio, signal);
+  if (cost < 1) return null;
+  
+  const position = {
+    signalId: signal.id,
+    conditionId: signal.conditionId,
+    asset: signal.asset,
+    market: signal.market,
+    outcome: signal.outcome,
+    confidence: signal.confidence,
+    shares: cost / price,
+    entryPrice: price,
+    cost,
+    openedAt: new Date(now).toISOString(),
+    markPrice: price,
+    markedAt: new Date(now).toISOString()
+  };
+  portfolio.cash -= cost;
+  portfolio.positions.push(position);
+  return position;
+}
+
+/**
+ * Close an open position at price
+ * @param {'exit-signal'|'resolution'} reason
+ */
+export function closePosition(portfolio, position, price, reason, now = Date.now()) {
+  const proceeds = position.shares * price;
+  const closed = {
+    ...position,
+    exitPrice: price,
+    proceeds,
+    pnl: proceeds - position.cost,
+    closedAt: new Date(now).toISOString(),
+    reason
+  };
+  delete closed.markPrice;
+  delete closed.markedAt;
+  portfolio.cash += proceeds;
+  portfolio.positions = portfolio.positions.filter(p => p !== position);
+  portfolio.closed.push(closed);
+  return closed;
+}
+
+/**
+ * Act on a signal: BUY opens at entryPrice, SELL closes any position in
+ * the same outcome at exitPrice
+ * @returns {{ opened: Object|null, closed: Object[] }}
+ */
+export function applySignal(portfolio, signal, { entryPrice, exitPrice, now = Date.now() } = {}) {
+  if (signal.side === 'BUY') {
+    return { opened: openPosition(portfolio, signal, entryPrice, now), closed: [] };
+  }
+  if (exitPrice == null) return { opened: null, closed: [] };
+  const matching = portfolio.positions.filter(p => p.conditionId === signal.conditionId && p.outcome === signal.outcome);
+  return {
+    opened: null,
+    closed: matching.map(p => closePosition(portfolio, p, exitPrice, 'exit-signal', now))
+  };
+}
+
+/**
+ * Update open positions: settle those whose market resolved, mark the rest
+ * @param {Function} lookup - position => { price?: number, winningOutcome?: string }
+ * @returns {Object[]} Positions settled at resolution
+ */
+export function markToMarket(portfolio, lookup, now = Date.now()) {
+  const settled = [];
+  for (const position of [...portfolio.positions]) {
+    const { price, winningOutcome } = lookup(position) || {};
+    if (winningOutcome != null) {
+      settled.push(closePosition(portfolio, position, winningOutcome === position.outcome ? 1 : 0, 'resolution', now));
+    } else if (price != null) {
+      position.markPrice = price;
+      position.markedAt = new Date(now).toISOString();
+    }
+  }
+  return settled;
+}
+
+/**
+ * Append the current equity to the curve
+ */
+export function recordEquity(portfolio, now = Date.now()) {
+  const value = positionsValue(portfolio);
+  portfolio.equity.push({
+    timestamp: new Date(now).toISOString(),
+    equity: portfolio.cash + value,
+    cash: portfolio.cash,
+    positionsValue: value
+  });
+}
+
+/**
+ * Headline numbers for a portfolio
+ */
+export function summarizePortfolio(portfolio) {
+  const value = positionsValue(portfolio);
+  const equity = portfolio.cash + value;
+  const realizedPnl = portfolio.closed.reduce((s, p) => s + p.pnl, 0);
+  const unrealizedPnl = portfolio.positions.reduce((s, p) => s + p.shares * (p.markPrice ?? p.entryPrice) - p.cost, 0);
+  const wins = portfolio.closed.filter(p => p.pnl > 0).length;
+  const losses = portfolio.closed.filter(p => p.pnl < 0).length;
+  
+  let peak = portfolio.startingCash;
+  let maxDrawdownPct = 0;
+  for (const point of portfolio.equity) {
+    peak = Math.max(peak, point.equity);
+    maxDrawdownPct = Math.max(maxDrawdownPct, peak > 0 ? (peak - point.equity) / peak : 0);
+  }
+  
+  return {
+    startingCash: portfolio.startingCash,
+    cash: portfolio.cash,
+    positionsValue: value,
+    equity,
+    realizedPnl,
+    unrealizedPnl,
+    returnPct: portfolio.startingCash > 0 ? (equity - portfolio.startingCash) / portfolio.startingCash : 0,
+    openPositions: portfolio.positions.length,
+    closedPositions: portfolio.closed.length,
+    wins,
+    losses,
+    winRate: wins + losses > 0 ? wins / (wins + losses) : null,
+    maxDrawdownPct
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Position events - what a trader did between two snapshots of their holdings
+ *
+ * Comparing a wallet's open positions with the previous snapshot gives typed
+ * events:
+ *
+ *   OPEN  - a position that wasn't there before
+ *   ADD   - more shares in an existing position
+ *   TRIM  - fewer shares, position still open
+ *   CLOSE - position gone (sold or resolved)
+ *
+ * Each event carries the share and USD change and the price it happened at
+ * (as best the snapshots can tell). Pure functions - safe for api/.
+ */
+
+export const EVENT_TYPES = ['OPEN', 'ADD', 'TRIM', 'CLOSE'];
+
+// Share changes smaller than this fraction of the position are noise
+const MIN_SHARE_CHANGE = 0.01;
+
+function positionKey(p) {
+  return p.asset || `${p.conditionId}-${p.outcome}`;
+}
+
+/**
+ * Snapshot of normalized open positions, keyed by asset
+ * @param {Object[]} positions
+ * @returns {Object<string, Object>}
+ */
+export function snapshotPositions(positions) {
+  const snapshot = {};
+  for (const p of positions) {
+    if (!(p.shares > 0)) continue;
+    snapshot[positionKey(p)] = {
+      conditionId: p.conditionId,
+      asset: p.asset,
+      title: p.title,
+      slug: p.slug,
+      eventSlug: p.eventSlug,
+      outcome: p.outcome,
+      outcomeIndex: p.outcomeIndex,
+      shares: p.shares,
+      avgPrice: p.avgPrice,
+      curPrice: p.curPrice,
+      usdSize: p.usdSize
+    };
+  }
+  return snapshot;
+}
+
+function isPrice(n) {
+  return n != null && n > 0 && n < 1;
+}
+
+// Price paid for shares added: what moves the average from before to after
+function addedPrice(before, after, delta) {
+  if (isPrice(before.avgPrice) && isPrice(after.avgPrice)) {
+    const implied = (after.avgPrice * after.shares - before.avgPrice * before.shares) / delta;
+    if (isPrice(implied)) return implied;
+  }
+  return after.curPrice ?? after.avgPrice ?? null;
+}
+
+function event(type, position, sharesBefore, sharesAfter, price, detectedAt) {
+  const sharesDelta = sharesAfter - sharesBefore;
+  return {
+    type,
+    conditionId: position.conditionId,
+    asset: position.asset,
+    title: position.title,
+    slug: position.slug,
+    eventSlug: position.eventSlug,
+    outcome: position.outcome,
+    outcomeIndex: position.outcomeIndex,
+    sharesBefore,
+    sharesAfter,
+    sharesDelta,
+    price,
+    usdDelta: price != null ? sharesDelta * price : null,
+    detectedAt
+  };
+}
+
+/**
+ * Events between two snapshots of one wallet
+ * @param {Object<string, Object>} previous - snapshotPositions() output
+ * @param {Object<string, Object>} current - snapshotPositions() output
+ * @param {Object} options
+ * @param {boolean} options.complete - false when current may be missing positions
+ *   (e.g. a capped fetch); no CLOSE events are emitted then
+ * @param {number} options.now - detectedAt for the events
+ * @returns {Object[]}
+ */
+export function diffPositions(previous, current, { complete = true, now = Date.now() } = {}) {
+  const events = [];
+  
+  for (const [key, after] of Object.entries(current)) {
+    const before = previous[key];
+    if (!before) {
+      events.push(event('OPEN', after, 0, after.shares, after.avgPrice ?? after.curPrice ?? null, now));
+      continue;
+    }
+    const delta = after.shares - before.shares;
+    if (Math.abs(delta) < before.shares * MIN_SHARE_CHANGE) continue;
+    if (delta > 0) {
+      events.push(event('ADD', after, before.shares, after.shares, addedPrice(before, after, delta), now));
+    } else {
+      events.push(event('TRIM', after, before.shares, after.shares, after.curPrice ?? before.curPrice ?? null, now));
+    }
+  }
+  
+  if (complete) {
+    for (const [key, before] of Object.entries(previous)) {
+      if (current[key]) continue;
+      events.push(event('CLOSE', before, before.shares, 0, before.curPrice ?? null, now));
+    }
+  }
+  
+  return events;
+}
+
+/**
+ * The snapshot to keep after a fetch. A capped fetch can't tell us a
+ * position closed, so positions it missed are carried over.
+ * @param {Object<string, Object>|undefined} previous - Last snapshot's positions
+ * @param {Object<string, Object>} current - snapshotPositions() of the fetch
+ * @param {boolean} complete - Whether the fetch returned every position
+ */
+export function nextSnapshot(previous, current, complete = true) {
+  return complete ? current : { ...previous, ...current };
+}
+
+/**
+ * Whether an event adds exposure (OPEN/ADD) or removes it (TRIM/CLOSE)
+ * @returns {'BUY'|'SELL'}
+ */
+export function eventSide(event) {
+  return event.type === 'OPEN' || event.type === 'ADD' ? 'BUY' : 'SELL';
+}
@@ -0,0 +1,127 @@
+/**
+ * Risk metrics from a trader's realized PnL history
+ *
+ * The series is built from closed positions, one point per position at its
+ * close time. Positions without a timestamp are dated from the trader's
+ * latest activity in that market when activity is supplied. Returns are per
+ * trade (realized PnL / cost basis), so Sharpe and Sortino here are
+ * per-trade ratios, not annualized ones. Pure functions - safe for api/.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fewer dated trades than this and the metrics are left null
+const MIN_TRADES = 5;
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : 0;
+}
+
+function stdev(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((s, v) => s + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Realized PnL series, oldest first
+ * @param {Object[]} closedPositions - Normalized closed positions
+ * @param {Object[]} activity - Normalized activity, used to date undated positions
+ * @returns {{ timestamp: number, pnl: number, return: number|null, cumulative: number }[]}
+ */
+export function buildPnlSeries(closedPositions, activity = []) {
+  const lastActivity = new Map();
+  for (const a of activity) {
+    if (!a.conditionId) continue;
+    lastActivity.set(a.conditionId, Math.max(lastActivity.get(a.conditionId) || 0, a.timestamp));
+  }
+  
+  const points = closedPositions
+    .map(p => ({
+      timestamp: p.timestamp ?? lastActivity.get(p.conditionId) ?? null,
+      pnl: p.realizedPnl,
+      return: p.usdSize > 0 ? p.realizedPnl / p.usdSize : null
+    }))
+    .filter(p => p.timestamp != null && p.pnl !== 0)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  
+  let cumulative = 0;
+  for (const point of points) {
+    cumulative += point.pnl;
+    point.cumulative = cumulative;
+  }
+  return points;
+}
+
+/**
+ * Largest peak-to-trough fall in cumulative realized PnL.
+ * pct is relative to the peak, null while the curve never went positive.
+ */
+export function maxDrawdown(series) {
+  let peak = 0;
+  let worst = 0;
+  let worstPct = null;
+  for (const { cumulative } of series) {
+    peak = Math.max(peak, cumulative);
+    const drawdown = peak - cumulative;
+    if (drawdown > worst) {
+      worst = drawdown;
+      worstPct = peak > 0 ? drawdown / peak : null;
+    }
+  }
+  return { usd: worst, pct: worst === 0 && peak > 0 ? 0 : worstPct };
+}
+
+export function longestLosingStreak(series) {
+  let longest = 0;
+  let current = 0;
+  for (const { pnl } of series) {
+    current = pnl < 0 ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  }
+  return longest;
+}
+
+/**
+ * Per-trade Sharpe, Sortino, drawdown, losing streak and momentum
+ * @param {Object[]} series - From buildPnlSeries
+ * @param {Object} options
+ * @param {number} options.recentDays - Window for momentum
+ * @param {number} options.now - Reference time (ms)
+ */
+export function calculateRiskMetrics(series, { recentDays = 30, now = Date.now() } = {}) {
+  const returns = series.map(p => p.return).filter(r => r != null);
+  if (returns.length < MIN_TRADES) {
+    return {
+      sampleSize: returns.length,
+      sharpe: null,
+      sortino: null,
+      maxDrawdown: null,
+      maxDrawdownPct: null,
+      longestLosingStreak: longestLosingStreak(series),
+      momentum: null
+    };
+  }
+  
+  const avg = mean(returns);
+  const sd = stdev(returns);
+  const downside = Math.sqrt(mean(returns.map(r => Math.min(r, 0) ** 2)));
+  const drawdown = maxDrawdown(series);
+  
+  // Recent average return relative to the all-time average
+  const recent = series
+    .filter(p => p.timestamp >= now - recentDays * DAY && p.return != null)
+    .map(p => p.return);
+  const momentum = recent.length >= MIN_TRADES && avg > 0 ? mean(recent) / avg : null;
+  
+  return {
+    sampleSize: returns.length,
+    sharpe: sd > 0 ? avg / sd : null,
+    // No losing trades: cap like profit factor does
+    sortino: downside > 0 ? avg / downside : avg > 0 ? 10 : 0,
+    maxDrawdown: drawdown.usd,
+    maxDrawdownPct: drawdown.pct,
+    longestLosingStreak: longestLosingStreak(series),
+    momentum
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Outcome-blind sampling of a trader's closed positions
+ *
+ * Sorting closed positions by realized PnL puts a trader's biggest winners
+ * first, so a page or two of them is a survivorship-biased sample. These
+ * helpers only ever read history ordered by close time:
+ *
+ *   recent - the newest maxItems positions
+ *   spread - pages spaced evenly across the whole history
+ *
+ * Both return the trader's total alongside the sample so results can say
+ * what they're based on. Counting costs ~15 single-item probes, so callers
+ * on a time budget can pass `countTotal: false` to report a recent sample's
+ * total as "at least maxItems" instead. They take a page fetcher, so api.js and the api/
+ * edge functions share them - no fs or Node-only imports.
+ */
+
+export const SAMPLING_MODES = ['recent', 'spread'];
+export const DEFAULT_SAMPLING_MODE = 'recent';
+
+// The data API rejects offsets past this, so totals above it are a lower bound
+const MAX_OFFSET = 10000;
+
+/**
+ * Sampling mode from `--sample=<mode>` in args, else the env value, else default
+ * @param {string[]} args
+ * @param {string} envValue - e.g. process.env.POLYMARKET_SAMPLE_MODE
+ */
+export function resolveSamplingMode(args = [], envValue) {
+  const flag = args.find(a => a.startsWith('--sample='));
+  const mode = flag ? flag.slice('--sample='.length) : envValue || DEFAULT_SAMPLING_MODE;
+  if (!SAMPLING_MODES.includes(mode)) {
+    throw new Error(`Unknown sampling mode "${mode}" (available: ${SAMPLING_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+async function exists(fetchPage, offset) {
+  const page = await fetchPage({ limit: 1, offset });
+  return Array.isArray(page) && page.length > 0;
+}
+
+/**
+ * Count records behind an offset-paginated endpoint by probing single-item
+ * pages: doubling from `from` until one is empty, then bisecting.
+ * @param {Function} fetchPage - ({ limit, offset }) => Promise<Object[]>
+ * @param {Object} options
+ * @param {number} options.from - Probe from this offset; smaller totals come back as `from`
+ * @returns {Promise<{ total: number, capped: boolean }>}
+ */
+export async function countRecords(fetchPage, { from = 0 } = {}) {
+  if (!await exists(fetchPage, from)) {
+    return { total: from, capped: false };
+  }
+  
+  // lo exists, hi doesn't (or is past the API's reach)
+  let lo = from;
+  let hi = Math.max(from * 2, 1);
+  while (hi <= MAX_OFFSET && await exists(fetchPage, hi)) {
+    lo = hi;
+    hi *= 2;
+  }
+  if (hi > MAX_OFFSET) {
+    if (await exists(fetchPage, MAX_OFFSET)) return { total: MAX_OFFSET, capped: true };
+    hi = MAX_OFFSET;
+  }
+  
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await exists(fetchPage, mid)) lo = mid;
+    else hi = mid;
+  }
+  return { total: lo + 1, capped: false };
+}
+
+async function readPages(fetchPage, offsets, pageSize, maxItems) {
+  const items = [];
+  for (const offset of offsets) {
+    const page = await fetchPage({ limit: pageSize, offset });
+    if (!page || page.length === 0) break;
+    items.push(...page);
+    if (items.length >= maxItems || page.length < pageSize) break;
+  }
+  return items.slice(0, maxItems);
+}
+
+/**
+ * Sample records from a newest-first, offset-paginated endpoint
+ * @param {Function} fetchPage - ({ limit, offset }) => Promise<Object[]>, ordered by time
+ * @param {Object} options
+ * @param {'recent'|'spread'} options.mode
+ * @param {number} options.maxItems - Sample size
+ * @param {number} options.pageSize
+ * @param {boolean} options.countTotal - Probe for the total past maxItems (spread mode always does)
+ * @returns {Promise<{ items: Object[], sample: { mode: string, sampled: number, total: number, totalCapped: boolean, complete: boolean } }>}
+ *   totalCapped means total is a lower bound
+ */
+export async function sampleByTime(fetchPage, { mode = DEFAULT_SAMPLING_MODE, maxItems = 1000, pageSize = 50, countTotal = true } = {}) {
+  const pageCount = Math.ceil(maxItems / pageSize);
+  
+  // Histories up to maxItems are read in full, whatever the mode
+  let items;
+  let count = mode === 'spread' ? await countRecords(fetchPage, { from: maxItems }) : null;
+  
+  if (count && count.total > maxItems) {
+    const span = count.total - pageSize;
+    const offsets = Array.from({ length: pageCount }, (_, i) =>
+      pageCount > 1 ? Math.round((i * span) / (pageCount - 1)) : 0
+    );
+    items = [];
+    for (const offset of offsets) {
+      items.push(...await readPages(fetchPage, [offset], pageSize, pageSize));
+    }
+    items = items.slice(0, maxItems);
+  } else {
+    const offsets = Array.from({ length: pageCount }, (_, i) => i * pageSize);
+    items = await readPages(fetchPage, offsets, pageSize, maxItems);
+    if (items.length >= maxItems) {
+      count = countTotal ? await countRecords(fetchPage, { from: maxItems }) : { total: maxItems, capped: true };
+    }
+  }
+  
+  const total = count ? count.total : items.length;
+  const totalCapped = count ? count.capped : false;
+  return {
+    items,
+    sample: {
+      mode,
+      sampled: items.length,
+      total,
+      totalCapped,
+      complete: !totalCapped && items.length >= total
+    }
+  };
+}
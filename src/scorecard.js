@@ -0,0 +1,175 @@
+/**
+ * Signal scorecard - were the copy signals right?
+ *
+ * Each tracked signal keeps the price when it fired, the prices seen since
+ * and, once its market resolves, whether it won. A BUY wins when its outcome
+ * wins; a SELL wins when it loses. Until then a signal is open and its
+ * return is marked to the latest price. Pure functions - safe for api/.
+ */
+
+export const OUTCOME_STATUSES = ['won', 'lost', 'open'];
+
+// Price points kept per signal (the first and latest always survive)
+const MAX_PATH_POINTS = 100;
+
+const round = (n, digits = 4) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Theoretical return of acting on a signal at entryPrice, valued at price.
+ * Selling gains what the price has since lost.
+ */
+export function signalReturn(side, entryPrice, price) {
+  if (!(entryPrice > 0) || price == null) return null;
+  return round(side === 'SELL' ? (entryPrice - price) / entryPrice : (price - entryPrice) / entryPrice);
+}
+
+/**
+ * Start tracking a signal. Entry is the live price when it fired, else the
+ * traders' average price.
+ */
+export function trackSignal(signal) {
+  const entryPrice = signal.priceContext?.currentPrice ?? signal.avgPrice ?? null;
+  return {
+    id: signal.id,
+    emittedAt: signal.timestamp,
+    conditionId: signal.conditionId,
+    asset: signal.asset ?? null,
+    market: signal.market,
+    outcome: signal.outcome,
+    side: signal.side,
+    confidence: signal.confidence,
+    traderCount: signal.traderCount,
+    traders: [...new Set((signal.traders || []).map(t => t.name).filter(Boolean))],
+    category: signal.category ?? null,
+    eventSlug: signal.eventSlug ?? null,
+    // Recommended stake (see sizing.js), so open signals count toward exposure caps
+    stake: signal.stake?.usd ?? null,
+    entryPrice,
+    path: entryPrice != null ? [{ timestamp: signal.timestamp, price: entryPrice }] : [],
+    lastPrice: entryPrice,
+    minPrice: entryPrice,
+    maxPrice: entryPrice,
+    status: 'open',
+    return: entryPrice != null ? 0 : null,
+    resolvedAt: null
+  };
+}
+
+/**
+ * Update a tracked signal in place with the latest price or the market's resolution
+ * @param {Object} record - trackSignal() output
+ * @param {Object} update
+ * @param {number|null} update.price - Current price of the signal's outcome
+ * @param {string|null} update.winningOutcome - Set once the market resolved
+ * @param {number} update.now
+ */
+export function updateOutcome(record, { price = null, winningOutcome = null, now = Date.now() } = {}) {
+  if (record.status !== 'open') return record;
+  const timestamp = new Date(now).toISOString();
+  
+  if (winningOutcome != null) {
+    const outcomeWon = winningOutcome === record.outcome;
+    const settled = outcomeWon ? 1 : 0;
+    record.status = outcomeWon === (record.side !== 'SELL') ? 'won' : 'lost';
+    record.resolvedAt = timestamp;
+    record.lastPrice = settled;
+    record.path.push({ timestamp, price: settled });
+    record.return = signalReturn(record.side, record.entryPrice, settled);
+  } else if (price != null) {
+    record.lastPrice = price;
+    record.minPrice = Math.min(record.minPrice ?? price, price);
+    record.maxPrice = Math.max(record.maxPrice ?? price, price);
+    record.path.push({ timestamp, price });
+    record.return = signalReturn(record.side, record.entryPrice, price);
+  }
+  
+  if (record.path.length > MAX_PATH_POINTS) {
+    record.path = [record.path[0], ...record.path.slice(-(MAX_PATH_POINTS - 1))];
+  }
+  return record;
+}
+
+/**
+ * "high", "medium" or "low" under confidenceThresholds
+ */
+export function confidenceLevel(confidence, thresholds) {
+  if (confidence >= thresholds.high) return 'high';
+  if (confidence >= thresholds.medium) return 'medium';
+  return 'low';
+}
+
+function emptyBucket() {
+  return { signals: 0, won: 0, lost: 0, open: 0, returns: [], resolvedReturns: [] };
+}
+
+function count(bucket, record) {
+  bucket.signals++;
+  bucket[record.status]++;
+  if (record.return != null) {
+    bucket.returns.push(record.return);
+    if (record.status !== 'open') bucket.resolvedReturns.push(record.return);
+  }
+}
+
+function addTo(groups, key, record) {
+  count(groups[key] ||= emptyBucket(), record);
+}
+
+const mean = values => (values.length > 0 ? round(values.reduce((s, v) => s + v, 0) / values.length) : null);
+
+function finish(bucket) {
+  const { returns, resolvedReturns, ...counts } = bucket;
+  return {
+    ...counts,
+    hitRate: counts.won + counts.lost > 0 ? round(counts.won / (counts.won + counts.lost)) : null,
+    // Open signals count at their marked return
+    avgReturn: mean(returns),
+    avgResolvedReturn: mean(resolvedReturns)
+  };
+}
+
+function finishAll(groups) {
+  return Object.fromEntries(
+    Object.entries(groups)
+      .sort((a, b) => b[1].signals - a[1].signals)
+      .map(([key, bucket]) => [key, finish(bucket)])
+  );
+}
+
+/**
+ * Hit rate and return by confidence level and 10-point band, trader,
+ * trader count and category
+ * @param {Object[]} records - Tracked signals
+ * @param {Object} options
+ * @param {{ high: number, medium: number, low: number }} options.thresholds - Confidence thresholds to bucket by
+ */
+export function buildScorecard(records, { thresholds }) {
+  const total = emptyBucket();
+  const byConfidence = {};
+  const byConfidenceBand = {};
+  const byTrader = {};
+  const byTraderCount = {};
+  const byCategory = {};
+  
+  for (const record of records) {
+    count(total, record);
+    addTo(byConfidence, confidenceLevel(record.confidence, thresholds), record);
+    const band = Math.min(Math.floor(record.confidence * 10), 9) * 10;
+    addTo(byConfidenceBand, `${band}-${band + 10}%`, record);
+    for (const trader of record.traders) {
+      addTo(byTrader, trader, record);
+    }
+    addTo(byTraderCount, record.traderCount >= 4 ? '4+' : String(record.traderCount), record);
+    addTo(byCategory, record.category || 'Uncategorized', record);
+  }
+  
+  return {
+    thresholds,
+    total: finish(total),
+    byConfidence: Object.fromEntries(['high', 'medium', 'low'].filter(l => byConfidence[l]).map(l => [l, finish(byConfidence[l])])),
+    byConfidenceBand: Object.fromEntries(Object.keys(byConfidenceBand).sort().reverse().map(b => [b, finish(byConfidenceBand[b])])),
+    byTrader: finishAll(byTrader),
+    byTraderCount: Object.fromEntries(Object.keys(byTraderCount).sort().map(n => [n, finish(byTraderCount[n])])),
+    byCategory: finishAll(byCategory)
+  };
+}
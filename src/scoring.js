@@ -0,0 +1,235 @@
+/**
+ * Trader scoring - the one place win rates, edge scores and copy-candidate
+ * checks are computed. Used by the CLI tools and the api/ edge functions,
+ * so no fs or Node-only imports.
+ *
+ * Weights, scales and thresholds come from named profiles in
+ * scoring-profiles.json. Named profiles only list what they change;
+ * everything else falls back to "default".
+ *
+ * Win rate and profit factor components use shrunk estimates (see stats.js)
+ * so small samples score near the prior instead of at 100%. The unshrunk
+ * score is kept as rawEdgeScore for comparison.
+ *
+ * The alpha component scores wins above the entry prices' implied
+ * probability (see calibration.js): 50 is priced-in, 100 is alphaZFor100
+ * standard deviations better than the market.
+ *
+ * Risk components (sharpe, sortino, drawdown, momentum) are optional: they
+ * only count when a profile gives them weight and there's enough history.
+ */
+
+import PROFILES from './scoring-profiles.json' with { type: 'json' };
+import { wilsonInterval, shrinkWinRate, shrinkProfitFactor, profitFactorInterval } from './stats.js';
+import { buildPnlSeries, calculateRiskMetrics } from './risk.js';
+import { calculateCalibration } from './calibration.js';
+
+export const DEFAULT_PROFILE = 'default';
+
+function round(n, places) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * Names of all available scoring profiles
+ */
+export function listScoringProfiles() {
+  return Object.keys(PROFILES);
+}
+
+/**
+ * Resolve a named profile, merged over the default profile
+ * @param {string} name
+ */
+export function getScoringProfile(name = DEFAULT_PROFILE) {
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown scoring profile "${name}" (available: ${listScoringProfiles().join(', ')})`);
+  }
+  const base = PROFILES[DEFAULT_PROFILE];
+  return {
+    name,
+    description: profile.description || base.description,
+    weights: { ...base.weights, ...profile.weights },
+    scales: { ...base.scales, ...profile.scales },
+    copyCandidate: { ...base.copyCandidate, ...profile.copyCandidate },
+    shrinkage: { ...base.shrinkage, ...profile.shrinkage }
+  };
+}
+
+/**
+ * Profile name from `--profile=<name>` in args, else the env value, else default
+ * @param {string[]} args
+ * @param {string} envValue - e.g. process.env.SCORING_PROFILE
+ */
+export function resolveProfileName(args = [], envValue) {
+  const flag = args.find(a => a.startsWith('--profile='));
+  return flag ? flag.slice('--profile='.length) : envValue || DEFAULT_PROFILE;
+}
+
+/**
+ * Win/loss summary of normalized closed positions. Breakeven positions are ignored.
+ * winRateLower/Upper is the 95% Wilson interval; sampleSize is the trade count it's based on.
+ */
+export function summarizeClosedPositions(closedPositions) {
+  const wins = closedPositions.filter(p => p.realizedPnl > 0);
+  const losses = closedPositions.filter(p => p.realizedPnl < 0);
+  const totalTrades = wins.length + losses.length;
+  
+  const totalWins = wins.reduce((s, p) => s + p.realizedPnl, 0);
+  const totalLosses = Math.abs(losses.reduce((s, p) => s + p.realizedPnl, 0));
+  const interval = wilsonInterval(wins.length, totalTrades);
+  
+  return {
+    wins: wins.length,
+    losses: losses.length,
+    totalTrades,
+    sampleSize: totalTrades,
+    winRate: totalTrades > 0 ? wins.length / totalTrades : null,
+    winRateLower: totalTrades > 0 ? interval.lower : null,
+    winRateUpper: totalTrades > 0 ? interval.upper : null,
+    totalWins,
+    totalLosses,
+    avgWin: wins.length > 0 ? totalWins / wins.length : 0,
+    avgLoss: losses.length > 0 ? totalLosses / losses.length : 0,
+    profitFactor: totalLosses > 0 ? totalWins / totalLosses : totalWins > 0 ? 10 : 1
+  };
+}
+
+function clampScore(n) {
+  return Math.max(0, Math.min(n, 100));
+}
+
+// Components (0-100 each). Risk components are null without enough history.
+function scoreComponents({ efficiency, winRate, profitFactor, totalTrades, volume, calibration, risk }, scales) {
+  return {
+    efficiency: Math.min((efficiency / scales.efficiencyFor100) * 100, 100),
+    winRate: winRate * 100,
+    profitFactor: Math.min((profitFactor / scales.profitFactorFor100) * 100, 100),
+    consistency: Math.min((totalTrades / scales.tradesForFullConsistency) * 100, 100),
+    size: Math.min(Math.log10(volume + 1) * scales.sizeLogMultiplier, 100), // Rewards volume
+    alpha: calibration.alphaZ != null ? clampScore(50 + (calibration.alphaZ / scales.alphaZFor100) * 50) : null,
+    sharpe: risk.sharpe != null ? clampScore((risk.sharpe / scales.sharpeFor100) * 100) : null,
+    sortino: risk.sortino != null ? clampScore((risk.sortino / scales.sortinoFor100) * 100) : null,
+    drawdown: risk.maxDrawdownPct != null ? clampScore((1 - risk.maxDrawdownPct / scales.drawdownPctFor0) * 100) : null,
+    momentum: risk.momentum != null ? clampScore((risk.momentum / scales.momentumFor100) * 100) : null
+  };
+}
+
+// Weighted average over the components the profile gives weight to
+function weightedScore(components, weights) {
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [key, weight] of Object.entries(weights)) {
+    if (!weight || components[key] == null) continue;
+    weighted += components[key] * weight;
+    totalWeight += weight;
+  }
+  return totalWeight > 0 ? weighted / totalWeight : 0;
+}
+
+// Rates as percentages, to match stats
+function roundCalibration(calibration) {
+  const pct = v => v != null ? round(v * 100, 1) : null;
+  const summary = c => ({
+    trades: c.trades,
+    expectedWinRate: pct(c.expectedWinRate),
+    realizedWinRate: pct(c.realizedWinRate),
+    excessWinRate: pct(c.excessWinRate),
+    alphaZ: c.alphaZ != null ? round(c.alphaZ, 2) : null
+  });
+  return {
+    ...summary(calibration),
+    buckets: Object.fromEntries(Object.entries(calibration.buckets).map(([k, v]) => [k, summary(v)]))
+  };
+}
+
+/**
+ * Edge score for a trader
+ * @param {{ pnl: number, volume: number }} trader - Normalized leaderboard entry
+ * @param {Object[]} closedPositions - Normalized closed positions
+ * @param {Object|string} profile - Profile object or name
+ * @param {Object} context
+ * @param {Object[]} context.activity - Normalized activity, dates undated closed positions
+ */
+export function calculateEdgeScore(trader, closedPositions, profile = DEFAULT_PROFILE, { activity = [] } = {}) {
+  const { name, weights, scales, shrinkage } = typeof profile === 'string' ? getScoringProfile(profile) : profile;
+  const summary = summarizeClosedPositions(closedPositions);
+  const n = summary.totalTrades;
+  
+  const pnl = trader.pnl || 0;
+  const volume = trader.volume || 1;
+  const efficiency = pnl / volume;
+  
+  const winRate = shrinkWinRate(summary.wins, n, shrinkage);
+  const profitFactor = shrinkProfitFactor(summary.totalWins, summary.totalLosses, n, shrinkage);
+  const winRateCI = wilsonInterval(summary.wins, n, shrinkage.confidence);
+  const profitFactorCI = profitFactorInterval(
+    closedPositions.map(p => p.realizedPnl).filter(p => p !== 0),
+    { confidence: shrinkage.confidence }
+  );
+  
+  const calibration = calculateCalibration(closedPositions);
+  const risk = calculateRiskMetrics(buildPnlSeries(closedPositions, activity), { recentDays: scales.momentumDays });
+  
+  const components = scoreComponents({ efficiency, winRate, profitFactor, totalTrades: n, volume, calibration, risk }, scales);
+  const rawComponents = scoreComponents({
+    efficiency,
+    winRate: summary.winRate ?? 0.5,
+    profitFactor: summary.profitFactor,
+    totalTrades: n,
+    volume,
+    calibration,
+    risk
+  }, scales);
+  
+  return {
+    edgeScore: round(weightedScore(components, weights), 1),
+    rawEdgeScore: round(weightedScore(rawComponents, weights), 1),
+    profile: name,
+    components: Object.fromEntries(Object.entries(components).map(([k, v]) => [k, v != null ? round(v, 1) : null])),
+    stats: {
+      pnl,
+      volume,
+      efficiencyPct: round(efficiency * 100, 1),
+      winRate: summary.winRate != null ? round(summary.winRate * 100, 1) : null,
+      winRateAdjusted: round(winRate * 100, 1),
+      winRateLower: round(winRateCI.lower * 100, 1),
+      winRateUpper: round(winRateCI.upper * 100, 1),
+      wins: summary.wins,
+      losses: summary.losses,
+      avgWin: Math.round(summary.avgWin),
+      avgLoss: Math.round(summary.avgLoss),
+      profitFactor: round(summary.profitFactor, 2),
+      profitFactorAdjusted: round(profitFactor, 2),
+      profitFactorLower: profitFactorCI.lower != null ? round(profitFactorCI.lower, 2) : null,
+      profitFactorUpper: profitFactorCI.upper != null ? round(profitFactorCI.upper, 2) : null,
+      totalTrades: n,
+      sampleSize: n
+    },
+    calibration: roundCalibration(calibration),
+    risk: {
+      sharpe: risk.sharpe != null ? round(risk.sharpe, 2) : null,
+      sortino: risk.sortino != null ? round(risk.sortino, 2) : null,
+      maxDrawdown: risk.maxDrawdown != null ? Math.round(risk.maxDrawdown) : null,
+      maxDrawdownPct: risk.maxDrawdownPct != null ? round(risk.maxDrawdownPct * 100, 1) : null,
+      longestLosingStreak: risk.longestLosingStreak,
+      momentum: risk.momentum != null ? round(risk.momentum, 2) : null,
+      sampleSize: risk.sampleSize
+    }
+  };
+}
+
+/**
+ * Copy-candidate check against the profile's thresholds
+ * @param {{ totalTrades: number, winRate: number|null }} summary - From summarizeClosedPositions
+ * @param {number} efficiency - PnL / volume
+ * @param {Object|string} profile - Profile object or name
+ */
+export function isCopyCandidate(summary, efficiency, profile = DEFAULT_PROFILE) {
+  const { copyCandidate } = typeof profile === 'string' ? getScoringProfile(profile) : profile;
+  return summary.totalTrades >= copyCandidate.minTrades &&
+    (summary.winRate ?? 0) >= copyCandidate.minWinRate &&
+    efficiency >= copyCandidate.minEfficiency;
+}
@@ -6,6 +6,8 @@
 import { createServer } from 'http';
 import { readFileSync, existsSync } from 'fs';
 import { join, extname } from 'path';
+import { buildScorecard } from './scorecard.js';
+import { DEFAULT_SIGNAL_RULES } from './signals.js';
 
 const PORT = process.env.PORT || 3456;
 const DATA_DIR = './data';
@@ -72,6 +74,11 @@ function handleAPI(res, pathname) {
       res.writeHead(200);
       res.end(JSON.stringify(data || []));
       
+    } else if (pathname === '/api/scorecard') {
+      const data = loadJSON('signal-outcomes.json');
+      res.writeHead(200);
+      res.end(JSON.stringify(buildScorecard(data || [], { thresholds: DEFAULT_SIGNAL_RULES.confidenceThresholds })));
+      
     } else if (pathname === '/api/whale-activity') {
       const data = loadJSON('whale-activity.json');
       res.writeHead(200);
@@ -0,0 +1,88 @@
+/**
+ * Shared fetching for the api/ edge functions
+ *
+ * The handlers score a batch of traders inside Vercel's 30s limit, so they
+ * share one fetch helper, one batching loop and the query checks that run
+ * before any fetching. Uses the global fetch only - no fs or Node-only imports.
+ */
+
+import { normalizeAll, normalizeClosedPosition } from './models.js';
+import { sampleByTime, resolveSamplingMode, SAMPLING_MODES } from './sampling.js';
+import { getScoringProfile, listScoringProfiles } from './scoring.js';
+
+export const BASE_URL = 'https://data-api.polymarket.com';
+
+// Traders fetched at once - keeps the function inside its 30s limit without a burst of requests
+export const CONCURRENCY = 5;
+
+export async function fetchJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`${new URL(url).pathname} fetch failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// Walks history by time - sorting by PnL would only return the biggest winners
+export async function fetchClosedPositions(wallet, mode) {
+  const { items, sample } = await sampleByTime(async ({ limit, offset }) => {
+    const params = new URLSearchParams({
+      user: wallet,
+      sortBy: 'TIMESTAMP',
+      sortDirection: 'DESC',
+      limit: String(limit),
+      offset: String(offset)
+    });
+    return fetchJson(`${BASE_URL}/closed-positions?${params}`);
+  }, { mode, maxItems: 100, pageSize: 50, countTotal: false });
+  
+  return { closed: normalizeAll(items, normalizeClosedPosition, { source: 'closed position' }).items, sample };
+}
+
+/**
+ * Runs fn over items, CONCURRENCY at a time. Results keep the input order;
+ * items whose fn throws are counted in `failed` instead of failing the batch.
+ * @returns {Promise<{ results: Array, failed: number }>}
+ */
+export async function mapInBatches(items, fn, concurrency = CONCURRENCY) {
+  const results = [];
+  let failed = 0;
+  for (let i = 0; i < items.length; i += concurrency) {
+    const settled = await Promise.allSettled(items.slice(i, i + concurrency).map(fn));
+    for (const outcome of settled) {
+      if (outcome.status === 'fulfilled') results.push(outcome.value);
+      else failed++;
+    }
+  }
+  return { results, failed };
+}
+
+/**
+ * Scoring profile (?profile=) and sampling mode (?sample=) from the query,
+ * checked before any fetching. An unknown value comes back as a 400
+ * response listing the available ones.
+ * @param {Request} req
+ * @param {Object} options
+ * @param {boolean} options.profile - Whether the handler takes a profile
+ * @returns {{ profile?: Object, mode?: string, error?: Response }}
+ */
+export function parseQuery(req, { profile = true } = {}) {
+  const query = new URL(req.url).searchParams;
+  try {
+    return {
+      profile: profile ? getScoringProfile(query.get('profile') || undefined) : undefined,
+      mode: resolveSamplingMode([], query.get('sample') || undefined)
+    };
+  } catch (err) {
+    return {
+      error: new Response(JSON.stringify({
+        error: err.message,
+        ...(profile && { profiles: listScoringProfiles() }),
+        sampleModes: SAMPLING_MODES
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    };
+  }
+}
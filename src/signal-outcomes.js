@@ -0,0 +1,144 @@
+/**
+ * Signal outcome tracking - the record behind the scorecard
+ *
+ * Every signal in signals.json is tracked in data/signal-outcomes.json from
+ * its price when it fired. Each `npm run copy` (and `copy scorecard`)
+ * appends the latest midpoint to open signals' price paths and settles
+ * signals whose market resolved (see scorecard.js). Outcomes outlive the
+ * 500 signals signals.json keeps.
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { fetchMidpoint } from './clob.js';
+import { getMarkets } from './markets.js';
+import { trackSignal, updateOutcome, buildScorecard } from './scorecard.js';
+import { addExposure } from './sizing.js';
+
+const DATA_DIR = './data';
+const OUTCOMES_FILE = `${DATA_DIR}/signal-outcomes.json`;
+
+const CONFIG = {
+  maxTracked: 5000,
+  // Older open signals are only checked for resolution, not repriced
+  priceDays: 30
+};
+
+export function loadSignalOutcomes() {
+  if (!existsSync(OUTCOMES_FILE)) return [];
+  return JSON.parse(readFileSync(OUTCOMES_FILE, 'utf-8'));
+}
+
+function saveSignalOutcomes(records) {
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+  writeFileSync(OUTCOMES_FILE, JSON.stringify(records.slice(0, CONFIG.maxTracked), null, 2));
+}
+
+/**
+ * Start tracking new signals, then reprice and settle the open ones
+ * @param {Object[]} signals - Signals from signals.json, newest first
+ * @returns {Object[]} Tracked signals, newest first
+ */
+export async function updateSignalOutcomes(signals) {
+  const records = loadSignalOutcomes();
+  const tracked = new Set(records.map(r => r.id));
+  const added = signals.filter(s => !tracked.has(s.id)).map(trackSignal);
+  const all = [...added, ...records].sort((a, b) => b.emittedAt.localeCompare(a.emittedAt));
+  
+  const open = all.filter(r => r.status === 'open');
+  const markets = await getMarkets(open.map(r => r.conditionId));
+  const priceSince = Date.now() - CONFIG.priceDays * 24 * 60 * 60 * 1000;
+  
+  const prices = new Map();
+  for (const r of open) {
+    if (!r.asset || prices.has(r.asset) || markets[r.conditionId]?.winningOutcome) continue;
+    if (new Date(r.emittedAt).getTime() < priceSince) continue;
+    try {
+      prices.set(r.asset, await fetchMidpoint(r.asset));
+    } catch (err) {
+      console.error(`Price lookup failed for ${r.market}: ${err.message}`);
+      prices.set(r.asset, null);
+    }
+  }
+  
+  const now = Date.now();
+  let resolved = 0;
+  for (const r of open) {
+    updateOutcome(r, {
+      price: prices.get(r.asset) ?? null,
+      winningOutcome: markets[r.conditionId]?.winningOutcome ?? null,
+      now
+    });
+    if (r.status !== 'open') resolved++;
+  }
+  
+  saveSignalOutcomes(all);
+  console.log(`Signal outcomes: ${added.length} newly tracked, ${resolved} resolved, ${open.length - resolved} open`);
+  return all;
+}
+
+/**
+ * Stakes recommended on still-open signals, per market and per event
+ * @returns {{ markets: Map<string, number>, events: Map<string, number> }}
+ */
+export function openStakeExposure(records = loadSignalOutcomes()) {
+  const exposure = { markets: new Map(), events: new Map() };
+  for (const r of records) {
+    if (r.status === 'open') addExposure(exposure, r, r.stake);
+  }
+  return exposure;
+}
+
+function pct(n) {
+  return n != null ? `${n >= 0 ? '+' : ''}${(n * 100).toFixed(1)}%` : '-';
+}
+
+function printGroup(title, groups, limit = Infinity) {
+  const rows = Object.entries(groups).slice(0, limit);
+  if (rows.length === 0) return;
+  console.log(`\n${title}`);
+  console.log('-'.repeat(80));
+  console.log('Group'.padEnd(26) + 'Signals'.padStart(8) + 'Won'.padStart(6) + 'Lost'.padStart(6) + 'Open'.padStart(6) + 'Hit'.padStart(8) + 'Avg Ret'.padStart(10) + 'Resolved'.padStart(10));
+  console.log('-'.repeat(80));
+  for (const [key, b] of rows) {
+    console.log(
+      key.slice(0, 24).padEnd(26) +
+      String(b.signals).padStart(8) +
+      String(b.won).padStart(6) +
+      String(b.lost).padStart(6) +
+      String(b.open).padStart(6) +
+      (b.hitRate != null ? `${(b.hitRate * 100).toFixed(0)}%` : '-').padStart(8) +
+      pct(b.avgReturn).padStart(10) +
+      pct(b.avgResolvedReturn).padStart(10)
+    );
+  }
+}
+
+/**
+ * Print hit rate and return per confidence level, trader, trader count and category
+ * @param {Object[]} records - Tracked signals
+ * @param {{ high: number, medium: number, low: number }} thresholds - confidenceThresholds
+ */
+export function showScorecard(records, thresholds) {
+  if (records.length === 0) {
+    console.log('No signals tracked yet. Run: npm run copy');
+    return;
+  }
+  const card = buildScorecard(records, { thresholds });
+  const { total } = card;
+  
+  console.log('\n' + '='.repeat(80));
+  console.log('🎯 SIGNAL SCORECARD');
+  console.log('='.repeat(80));
+  console.log(`  Signals:  ${total.signals} (${total.won} won, ${total.lost} lost, ${total.open} open)`);
+  console.log(`  Hit rate: ${total.hitRate != null ? `${(total.hitRate * 100).toFixed(0)}%` : '-'} of resolved`);
+  console.log(`  Return:   ${pct(total.avgReturn)} avg (open marked to market), ${pct(total.avgResolvedReturn)} avg resolved`);
+  
+  printGroup(`BY CONFIDENCE (high ≥ ${thresholds.high * 100}%, medium ≥ ${thresholds.medium * 100}%)`, card.byConfidence);
+  printGroup('BY CONFIDENCE BAND', card.byConfidenceBand);
+  printGroup('BY TRADER COUNT', card.byTraderCount);
+  printGroup('BY CATEGORY', card.byCategory);
+  printGroup('BY TRADER (top 15 by signals)', card.byTrader, 15);
+  console.log('\nReturns are per $1 at the price when the signal fired; a SELL gains what the price lost since.');
+}
@@ -0,0 +1,346 @@
+/**
+ * Copy signal rules - turn position events into signals
+ *
+ * Events from followed traders (see position-events.js) are grouped by
+ * market, outcome and side: OPEN/ADD events make BUY signals, TRIM/CLOSE
+ * events make SELL signals. A position that disappears because its market
+ * resolved was redeemed, not sold, so it makes no signal; neither does a
+ * market/outcome/side already signaled within duplicateWindow. Pure
+ * functions, so the live generator and anything replaying past events apply
+ * the same rules.
+ *
+ * Confidence is a weighted consensus. Each trader's weight is their edge
+ * score times their conviction (the move's size against their portfolio).
+ * Followed traders on the other side - holding another outcome of the same
+ * market, or moving the opposite way on this one - subtract their weight.
+ * Net weight maps to 0-1 as 1 - e^(-net), so one high-edge trader going in
+ * big lands near 0.6 and several agreeing approach 1.
+ *
+ * By the time a signal is seen the price may already have run. The
+ * stale-price guard compares the traders' average price with the live one,
+ * downgrading or dropping signals whose edge has likely gone.
+ */
+
+import { eventSide } from './position-events.js';
+
+export const DEFAULT_SIGNAL_RULES = {
+  // Minimum USD moved in a market/outcome/side to signal
+  minPositionSize: 5000,
+  // A market/outcome/side signaled within this window (ms) isn't signaled again
+  duplicateWindow: 24 * 60 * 60 * 1000,
+  // Edge weight is edgeScore / 100 within these bounds; unscored traders get the default
+  defaultEdgeScore: 50,
+  minEdgeWeight: 0.25,
+  maxEdgeWeight: 1.5,
+  // A move of this share of the trader's portfolio counts as full conviction
+  fullConvictionShare: 0.1,
+  // ...or of this size, when the portfolio isn't known
+  fullConvictionSize: 50000,
+  minConviction: 0.1,
+  // Stale-price guard: adverse move since the traders' average price (0.05 = 5¢).
+  // Past downgradePriceDrift confidence is scaled by staleConfidenceFactor;
+  // past maxPriceDrift the signal is dropped
+  downgradePriceDrift: 0.05,
+  staleConfidenceFactor: 0.75,
+  maxPriceDrift: 0.1,
+  confidenceThresholds: {
+    high: 0.8,    // Several high-edge traders agree
+    medium: 0.6,  // One high-edge trader, large position
+    low: 0.4      // Anything weaker isn't signaled
+  }
+};
+
+/**
+ * Drift that drops a signal, from `--max-price-drift=<price>` in args, else the
+ * env value, else rules.maxPriceDrift. 0 drops any adverse move; otherwise it
+ * can't be under rules.downgradePriceDrift. Throws on an invalid value.
+ */
+export function resolveMaxPriceDrift(args = [], envValue, rules = DEFAULT_SIGNAL_RULES) {
+  const flag = args.find(a => a.startsWith('--max-price-drift='));
+  const raw = flag ? flag.slice('--max-price-drift='.length) : envValue;
+  if (raw == null || raw === '') return rules.maxPriceDrift;
+  const drift = Number(raw);
+  if (!Number.isFinite(drift) || drift < 0 || drift > 1) {
+    throw new Error(`Invalid max price drift "${raw}" (expected a price move from 0 to 1, e.g. 0.1 = 10¢)`);
+  }
+  if (drift > 0 && drift < rules.downgradePriceDrift) {
+    throw new Error(`Invalid max price drift "${raw}" (must be 0 or at least the ${rules.downgradePriceDrift} downgrade threshold)`);
+  }
+  return drift;
+}
+
+// Exit prices within this of 0 or 1 mean the market has settled
+const SETTLED_PRICE = 0.01;
+
+const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Consensus weight for one trader's stake
+ * @param {{ edgeScore?: number, portfolioValue?: number }} profile
+ * @param {number} size - USD moved or held
+ */
+export function traderWeight(profile = {}, size, rules = DEFAULT_SIGNAL_RULES) {
+  const edgeWeight = clamp((profile.edgeScore ?? rules.defaultEdgeScore) / 100, rules.minEdgeWeight, rules.maxEdgeWeight);
+  const share = profile.portfolioValue > 0
+    ? size / profile.portfolioValue / rules.fullConvictionShare
+    : size / rules.fullConvictionSize;
+  return edgeWeight * clamp(share, rules.minConviction, 1);
+}
+
+/**
+ * Confidence from summed weights: 0 when opposition outweighs support
+ */
+export function consensusConfidence(support, opposition) {
+  const net = support - opposition;
+  return net > 0 ? round(1 - Math.exp(-net)) : 0;
+}
+
+// Summed stake per trader
+function addStake(map, wallet, name, size, reason) {
+  if (!map.has(wallet)) map.set(wallet, { name, wallet, size: 0, reasons: [] });
+  const stake = map.get(wallet);
+  stake.size += size;
+  stake.reasons.push(reason);
+}
+
+function formatUsd(n) {
+  return `$${Math.round(n).toLocaleString()}`;
+}
+
+/**
+ * Followed traders on the other side of a signal: holding another outcome
+ * of the market, or moving the opposite way on this outcome
+ */
+function findOpposition(group, events, holdings, supporters) {
+  const opposing = new Map();
+  const isSupporter = wallet => supporters.has(wallet);
+  
+  for (const h of holdings) {
+    // A holding of unknown value can't be weighed
+    if (h.conditionId !== group.conditionId || isSupporter(h.traderWallet) || h.usdSize == null) continue;
+    const otherOutcome = h.outcome !== group.outcome;
+    // Buying this outcome is opposed by holders of another one; selling it, by holders of it
+    if (group.side === 'BUY' ? otherOutcome : !otherOutcome) {
+      addStake(opposing, h.traderWallet, h.traderName, h.usdSize, `holds ${h.outcome} (${formatUsd(h.usdSize)})`);
+    }
+  }
+  
+  // Selling this outcome opposes buying it (buyers of it already count as holders)
+  for (const e of events) {
+    if (e.conditionId !== group.conditionId || e.outcome !== group.outcome || isSupporter(e.traderWallet)) continue;
+    if (group.side === 'BUY' && eventSide(e) === 'SELL' && e.usdDelta != null) {
+      addStake(opposing, e.traderWallet, e.traderName, Math.abs(e.usdDelta), `${e.type} ${e.outcome} (${formatUsd(Math.abs(e.usdDelta))})`);
+    }
+  }
+  
+  return opposing;
+}
+
+/**
+ * Every trader's current positions, tagged with the trader - the holdings
+ * buildSignals looks through for opposing stakes
+ * @param {Object[]} traders - { wallet, name, wallets? } (wallets for clusters)
+ * @param {Object<string, { positions: Object }>} snapshots - lowercase wallet -> snapshot
+ */
+export function traderHoldings(traders, snapshots) {
+  return traders.flatMap(trader =>
+    (trader.wallets || [trader.wallet]).flatMap(w =>
+      Object.values(snapshots[w.toLowerCase()]?.positions || {}).map(p => ({
+        ...p,
+        traderName: trader.name,
+        traderWallet: trader.wallet
+      }))
+    )
+  );
+}
+
+/**
+ * Edge score and portfolio value per trader, for consensus weights. The
+ * portfolio value is what the snapshots hold, so pass the snapshots from
+ * before the events - after them, a big buy inflates its own denominator
+ * and a full exit leaves nothing to measure against.
+ * @param {Object[]} traders - { wallet, edgeScore?, wallets? }
+ * @param {Object<string, { positions: Object }>} snapshots - lowercase wallet -> snapshot before the events
+ * @param {Map<string, number>} edgeScores - lowercase wallet -> latest edge score, over trader.edgeScore
+ * @returns {Map<string, { edgeScore?: number, portfolioValue: number }>}
+ */
+export function traderProfiles(traders, snapshots, edgeScores = new Map()) {
+  return new Map(traders.map(trader => {
+    const wallets = trader.wallets || [trader.wallet];
+    const positions = wallets.flatMap(w => Object.values(snapshots[w.toLowerCase()]?.positions || {}));
+    return [trader.wallet, {
+      edgeScore: edgeScores.get(trader.wallet.toLowerCase()) ?? trader.edgeScore,
+      portfolioValue: positions.reduce((s, p) => s + (p.usdSize || 0), 0)
+    }];
+  }));
+}
+
+/**
+ * Whether a CLOSE is a redemption - the market resolved (or closed) and the
+ * position paid out or expired - rather than a sale to copy
+ * @param {Object} event - Position event
+ * @param {Object} market - Normalized market, if known
+ */
+export function isRedemption(event, market) {
+  if (event.type !== 'CLOSE') return false;
+  if (market?.closed) return true;
+  return event.price != null && (event.price <= SETTLED_PRICE || event.price >= 1 - SETTLED_PRICE);
+}
+
+// Same market, outcome and side signaled within rules.duplicateWindow before now
+function recentlySignaled(group, recentSignals, rules, now) {
+  return recentSignals.some(s =>
+    s.conditionId === group.conditionId &&
+    s.outcome === group.outcome &&
+    s.side === group.side &&
+    now - new Date(s.timestamp).getTime() < rules.duplicateWindow
+  );
+}
+
+/**
+ * Build signals from position events
+ * @param {Object[]} events - Events with traderName and traderWallet
+ * @param {Object} options
+ * @param {Object[]} options.holdings - Followed traders' current positions, to
+ *   find opposing stakes (see traderHoldings)
+ * @param {Map<string, { edgeScore?: number, portfolioValue?: number }>} options.traders - traderWallet -> profile (see traderProfiles)
+ * @param {Object<string, Object>} options.markets - conditionId -> market, to spot redemptions
+ * @param {Object[]} options.recentSignals - Signals already made, for the duplicate window
+ * @param {Object} options.rules - See DEFAULT_SIGNAL_RULES
+ * @param {number} options.now - Signal timestamp
+ * @returns {Object[]} Signals, without market or live price context
+ */
+export function buildSignals(events, { holdings = [], traders = new Map(), markets = {}, recentSignals = [], rules = DEFAULT_SIGNAL_RULES, now = Date.now() } = {}) {
+  const moves = events.filter(e => !isRedemption(e, markets[e.conditionId]));
+  const grouped = {};
+  for (const e of moves) {
+    const side = eventSide(e);
+    const key = `${e.conditionId}-${e.outcome}-${side}`;
+    if (!grouped[key]) {
+      grouped[key] = {
+        conditionId: e.conditionId,
+        asset: e.asset,
+        market: e.title,
+        eventSlug: e.eventSlug,
+        outcome: e.outcome,
+        side,
+        events: []
+      };
+    }
+    grouped[key].events.push(e);
+  }
+  
+  const signals = [];
+  for (const [key, group] of Object.entries(grouped)) {
+    if (recentlySignaled(group, recentSignals, rules, now)) continue;
+    
+    const sized = group.events.filter(e => e.usdDelta != null);
+    const totalSize = sized.reduce((s, e) => s + Math.abs(e.usdDelta), 0);
+    const shares = sized.reduce((s, e) => s + Math.abs(e.sharesDelta), 0);
+    if (totalSize < rules.minPositionSize) continue;
+    
+    const supporting = new Map();
+    for (const e of sized) {
+      addStake(supporting, e.traderWallet, e.traderName, Math.abs(e.usdDelta), e.type);
+    }
+    const opposing = findOpposition(group, moves, holdings, supporting);
+    
+    const weigh = stakes => [...stakes.values()].map(s => ({
+      ...s,
+      size: Math.round(s.size),
+      weight: round(traderWeight(traders.get(s.wallet), s.size, rules))
+    }));
+    const support = weigh(supporting);
+    const opposition = weigh(opposing);
+    const supportWeight = support.reduce((s, t) => s + t.weight, 0);
+    const oppositionWeight = opposition.reduce((s, t) => s + t.weight, 0);
+    
+    const confidence = consensusConfidence(supportWeight, oppositionWeight);
+    if (confidence < rules.confidenceThresholds.low) continue;
+    
+    signals.push({
+      id: `${now}-${key}`,
+      timestamp: new Date(now).toISOString(),
+      conditionId: group.conditionId,
+      asset: group.asset,
+      market: group.market,
+      eventSlug: group.eventSlug ?? null,
+      outcome: group.outcome,
+      side: group.side,
+      confidence,
+      consensus: {
+        support: round(supportWeight),
+        opposition: round(oppositionWeight)
+      },
+      conflict: opposition.length > 0,
+      totalSize: Math.round(totalSize),
+      // Share-weighted price of the moves behind the signal
+      avgPrice: shares > 0 ? totalSize / shares : null,
+      traderCount: support.length,
+      traders: group.events.map(e => ({
+        name: e.traderName,
+        wallet: e.traderWallet,
+        event: e.type,
+        size: e.usdDelta != null ? Math.abs(e.usdDelta) : null,
+        shares: e.sharesDelta,
+        price: e.price,
+        weight: support.find(t => t.wallet === e.traderWallet)?.weight ?? 0
+      })),
+      opposing: opposition.map(t => ({
+        name: t.name,
+        wallet: t.wallet,
+        size: t.size,
+        weight: t.weight,
+        positions: t.reasons
+      }))
+    });
+  }
+  return signals;
+}
+
+/**
+ * Stale-price guard. Drift is the move since the traders' average price,
+ * positive when copying now is worse (paying more on a BUY, getting less on
+ * a SELL). Remaining upside is the share of the traders' potential move
+ * still left: (1 - now) / (1 - avg) for a BUY, now / avg for a SELL.
+ * @param {Object} signal - buildSignals() output
+ * @param {number|null} currentPrice - Live price of the signal's outcome
+ * @returns {Object} The signal with priceDrift, remainingUpside and stale
+ *   (null, 'downgraded' or 'dropped'); downgraded signals keep originalConfidence
+ */
+export function guardStalePrice(signal, currentPrice, rules = DEFAULT_SIGNAL_RULES) {
+  const { avgPrice } = signal;
+  if (avgPrice == null || currentPrice == null) {
+    return { ...signal, priceDrift: null, remainingUpside: null, stale: null };
+  }
+  
+  const buy = signal.side !== 'SELL';
+  const priceDrift = round(buy ? currentPrice - avgPrice : avgPrice - currentPrice, 4);
+  const potential = buy ? 1 - avgPrice : avgPrice;
+  const remainingUpside = potential > 0 ? round((buy ? 1 - currentPrice : currentPrice) / potential) : null;
+  const guarded = { ...signal, priceDrift, remainingUpside, stale: null };
+  
+  if (priceDrift > rules.maxPriceDrift) {
+    return { ...guarded, stale: 'dropped' };
+  }
+  if (priceDrift > rules.downgradePriceDrift) {
+    const confidence = round(signal.confidence * rules.staleConfidenceFactor);
+    return {
+      ...guarded,
+      confidence,
+      originalConfidence: signal.confidence,
+      stale: confidence < rules.confidenceThresholds.low ? 'dropped' : 'downgraded'
+    };
+  }
+  return guarded;
+}
+
+/**
+ * "+3.2¢ since entry, 85% of upside left" for console output
+ */
+export function formatPriceDrift(signal) {
+  if (signal.priceDrift == null) return null;
+  const drift = `${signal.priceDrift >= 0 ? '+' : ''}${(signal.priceDrift * 100).toFixed(1)}¢ since entry`;
+  return signal.remainingUpside != null ? `${drift}, ${Math.round(signal.remainingUpside * 100)}% of upside left` : drift;
+}
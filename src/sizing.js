@@ -0,0 +1,172 @@
+/**
+ * Stake sizing - fractional Kelly recommendations for copy signals
+ *
+ * The market price is the implied probability. The estimated true
+ * probability adds the backers' calibration edge (how much more often they
+ * win than their entry prices imply - see calibration.js) at this price,
+ * shrunk for small samples and scaled by the signal's confidence:
+ *
+ *   p = price + confidence x edge
+ *
+ * Full Kelly for a share costing price that pays 1 is (p - price) / (1 - price)
+ * of the bankroll. A fraction of that is staked, capped per market and per
+ * event. Pure functions - safe for api/.
+ */
+
+import { PRICE_BUCKETS } from './calibration.js';
+
+export const DEFAULT_STAKE_RULES = {
+  bankroll: 10000,
+  // Share of full Kelly to stake
+  kellyFraction: 0.25,
+  // Most of the bankroll at risk in one market / one event
+  maxMarketShare: 0.05,
+  maxEventShare: 0.1,
+  // Recommendations under this are rounded to nothing
+  minStake: 10,
+  // A trader's edge counts as trades / (trades + priorTrades) of itself
+  priorTrades: 50,
+  // Closed positions a price bucket needs before its edge is used over the trader's overall one
+  minBucketTrades: 10
+};
+
+/**
+ * Bankroll from `--bankroll=<usd>` in args, else the env value, else the default.
+ * Throws on an invalid amount.
+ */
+export function resolveBankroll(args = [], envValue) {
+  const flag = args.find(a => a.startsWith('--bankroll='));
+  const raw = flag ? flag.slice('--bankroll='.length) : envValue;
+  if (raw == null || raw === '') return DEFAULT_STAKE_RULES.bankroll;
+  const bankroll = parseFloat(raw);
+  if (!Number.isFinite(bankroll) || bankroll <= 0) {
+    throw new Error(`Invalid bankroll "${raw}" (expected a positive USD amount)`);
+  }
+  return bankroll;
+}
+
+const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+const round = (n, digits = 4) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * A trader's win-rate edge at a price, from their calibration in
+ * edge-traders.json (percentage points), shrunk toward 0 for small samples
+ * @returns {number} Edge as a probability (0.05 = wins 5 points more than priced)
+ */
+export function traderEdge(calibration, price, rules = DEFAULT_STAKE_RULES) {
+  if (!calibration?.trades) return 0;
+  const bucket = PRICE_BUCKETS.find(b => price >= b.min && price < b.max);
+  const inBucket = bucket && calibration.buckets?.[bucket.name];
+  const source = inBucket?.trades >= rules.minBucketTrades && inBucket.excessWinRate != null ? inBucket : calibration;
+  if (source.excessWinRate == null) return 0;
+  return (source.excessWinRate / 100) * (source.trades / (source.trades + rules.priorTrades));
+}
+
+/**
+ * Estimated probability that the signal's outcome wins
+ * @param {Object} signal - Signal with confidence and traders (with wallet and weight)
+ * @param {number} price - Current price, the market's implied probability
+ * @param {Map<string, Object>} calibrations - lowercase wallet -> calibration
+ * @returns {{ edge: number, probability: number }}
+ */
+export function estimateProbability(signal, price, calibrations = new Map(), rules = DEFAULT_STAKE_RULES) {
+  // Backers' edges, weighted by their consensus weight on this signal
+  const backers = new Map();
+  for (const t of signal.traders || []) {
+    if (t.wallet && t.weight > 0) backers.set(t.wallet.toLowerCase(), t.weight);
+  }
+  let weighted = 0;
+  let total = 0;
+  for (const [wallet, weight] of backers) {
+    weighted += weight * traderEdge(calibrations.get(wallet), price, rules);
+    total += weight;
+  }
+  const edge = total > 0 ? weighted / total : 0;
+  return {
+    edge: round(edge),
+    probability: round(clamp(price + signal.confidence * edge, 0.01, 0.99))
+  };
+}
+
+/**
+ * Full Kelly fraction for buying at price with win probability p (0 when there's no edge)
+ */
+export function kellyFraction(probability, price) {
+  if (!(price > 0 && price < 1)) return 0;
+  return Math.max((probability - price) / (1 - price), 0);
+}
+
+/**
+ * Recommended stake for a signal
+ * @param {Object} signal - Signal with side, conditionId, eventSlug, confidence and traders
+ * @param {Object} options
+ * @param {number|null} options.price - Current price of the outcome
+ * @param {Map<string, Object>} options.calibrations - lowercase wallet -> calibration
+ * @param {{ markets: Map<string, number>, events: Map<string, number> }} options.exposure -
+ *   USD already recommended per conditionId / eventSlug
+ * @param {Object} options.rules - See DEFAULT_STAKE_RULES
+ * @returns {Object} { usd, ... } with the inputs behind it; usd is 0 with a reason when nothing should be staked
+ */
+export function recommendStake(signal, { price, calibrations = new Map(), exposure = { markets: new Map(), events: new Map() }, rules = DEFAULT_STAKE_RULES } = {}) {
+  const base = { bankroll: rules.bankroll, kellyFraction: rules.kellyFraction, usd: 0 };
+  if (signal.side === 'SELL') {
+    return { ...base, reason: 'exit signal' };
+  }
+  if (!(price > 0 && price < 1)) {
+    return { ...base, reason: 'no price' };
+  }
+  
+  const { edge, probability } = estimateProbability(signal, price, calibrations, rules);
+  const kelly = kellyFraction(probability, price);
+  const result = {
+    ...base,
+    impliedProbability: round(price),
+    estimatedProbability: probability,
+    edge,
+    kelly: round(kelly),
+    cappedBy: null
+  };
+  if (kelly <= 0) {
+    return { ...result, reason: edge > 0 ? 'no edge at this price' : 'no calibration edge' };
+  }
+  
+  let usd = rules.bankroll * kelly * rules.kellyFraction;
+  const caps = [
+    ['market', rules.bankroll * rules.maxMarketShare - (exposure.markets.get(signal.conditionId) || 0)],
+    ['event', signal.eventSlug ? rules.bankroll * rules.maxEventShare - (exposure.events.get(signal.eventSlug) || 0) : Infinity]
+  ];
+  for (const [name, room] of caps) {
+    if (usd > room) {
+      usd = Math.max(room, 0);
+      result.cappedBy = name;
+    }
+  }
+  if (usd < rules.minStake) {
+    return { ...result, reason: result.cappedBy ? `${result.cappedBy} cap reached` : 'below minimum stake' };
+  }
+  
+  usd = Math.round(usd);
+  return { ...result, usd, shares: Math.floor(usd / price), reason: null };
+}
+
+/**
+ * Add a recommendation to running exposure
+ */
+export function addExposure(exposure, signal, usd) {
+  if (!(usd > 0)) return;
+  exposure.markets.set(signal.conditionId, (exposure.markets.get(signal.conditionId) || 0) + usd);
+  if (signal.eventSlug) {
+    exposure.events.set(signal.eventSlug, (exposure.events.get(signal.eventSlug) || 0) + usd);
+  }
+}
+
+/**
+ * "$250 (6.1% Kelly x 0.25, est. 61% vs 55% implied)" for console output
+ */
+export function formatStake(stake) {
+  if (!stake) return null;
+  if (stake.usd === 0) return `$0 - ${stake.reason}`;
+  return `$${stake.usd.toLocaleString()} (${(stake.kelly * 100).toFixed(1)}% Kelly x ${stake.kellyFraction}` +
+    `, est. ${Math.round(stake.estimatedProbability * 100)}% vs ${Math.round(stake.impliedProbability * 100)}% implied` +
+    `${stake.cappedBy ? `, ${stake.cappedBy} cap` : ''})`;
+}
@@ -0,0 +1,125 @@
+/**
+ * Category specialization - where a trader's edge actually comes from
+ *
+ * Closed positions are grouped by their market's category (from the market
+ * catalog) and combined with the trader's standing on each category
+ * leaderboard. A category is "proven" when either source shows a real,
+ * profitable record there. Pure functions - safe for api/.
+ */
+
+import { summarizeClosedPositions } from './scoring.js';
+
+// Leaderboard categories (other than 'overall') and the market categories/tags that map to them
+export const CATEGORIES = {
+  politics: ['politics', 'elections', 'us-politics', 'geopolitics', 'world', 'global-elections'],
+  sports: ['sports', 'nba', 'nfl', 'mlb', 'nhl', 'soccer', 'football', 'tennis', 'golf', 'ufc', 'mma', 'esports'],
+  crypto: ['crypto', 'bitcoin', 'ethereum', 'solana', 'crypto-prices'],
+  culture: ['culture', 'pop-culture', 'entertainment', 'movies', 'music', 'awards', 'celebrities'],
+  economics: ['economics', 'economy', 'fed', 'inflation', 'interest-rates'],
+  tech: ['tech', 'technology', 'ai', 'science'],
+  finance: ['finance', 'business', 'stocks', 'earnings', 'ipos']
+};
+
+// What it takes for a category to count as proven edge
+export const DEFAULT_EDGE_CRITERIA = {
+  // From closed positions in the category
+  minTrades: 10,
+  // PnL / cost basis (closed positions) or PnL / volume (leaderboard)
+  minEfficiency: 0.05,
+  // From the category leaderboard, when the trader is on it
+  minLeaderboardPnl: 10000
+};
+
+function slug(value) {
+  return String(value).toLowerCase().trim().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Leaderboard category for a catalog market, 'other' when nothing matches,
+ * null when the market isn't known
+ */
+export function categoryOf(market) {
+  if (!market) return null;
+  const labels = [market.category, ...(market.tags || [])].filter(Boolean).map(slug);
+  for (const label of labels) {
+    for (const [category, aliases] of Object.entries(CATEGORIES)) {
+      if (label === category || aliases.includes(label)) return category;
+    }
+  }
+  return 'other';
+}
+
+/**
+ * Per-category breakdown of a trader's closed positions plus their
+ * category leaderboard standing
+ * @param {Object[]} closedPositions - Normalized closed positions
+ * @param {Object<string, Object>} markets - conditionId -> catalog market
+ * @param {Object<string, { rank: number, pnl: number, volume: number }>} leaderboard - category -> entry
+ * @param {Object} criteria - See DEFAULT_EDGE_CRITERIA
+ * @returns {{ categories: Object<string, Object>, proven: string[], topCategory: string|null }}
+ */
+export function buildSpecialization(closedPositions, markets = {}, leaderboard = {}, criteria = DEFAULT_EDGE_CRITERIA) {
+  const byCategory = {};
+  for (const position of closedPositions) {
+    const category = categoryOf(markets[position.conditionId]);
+    if (!category) continue;
+    (byCategory[category] ||= []).push(position);
+  }
+  
+  const names = new Set([...Object.keys(byCategory), ...Object.keys(leaderboard)]);
+  const categories = {};
+  for (const name of names) {
+    const positions = byCategory[name] || [];
+    const summary = summarizeClosedPositions(positions);
+    const pnl = positions.reduce((s, p) => s + p.realizedPnl, 0);
+    const costBasis = positions.reduce((s, p) => s + p.usdSize, 0);
+    const board = leaderboard[name] || null;
+    
+    const entry = {
+      trades: summary.totalTrades,
+      winRate: summary.winRate,
+      winRateLower: summary.winRateLower,
+      pnl: Math.round(pnl),
+      volume: Math.round(costBasis),
+      efficiency: costBasis > 0 ? pnl / costBasis : null,
+      leaderboard: board && {
+        rank: board.rank,
+        pnl: Math.round(board.pnl),
+        volume: Math.round(board.volume),
+        efficiency: board.volume > 0 ? board.pnl / board.volume : null
+      }
+    };
+    entry.proven = isProven(entry, criteria);
+    categories[name] = entry;
+  }
+  
+  const ranked = Object.entries(categories)
+    .map(([name, c]) => [name, c.leaderboard?.pnl ?? c.pnl])
+    .sort((a, b) => b[1] - a[1]);
+  
+  return {
+    categories,
+    proven: Object.keys(categories).filter(name => categories[name].proven),
+    topCategory: ranked.length > 0 && ranked[0][1] > 0 ? ranked[0][0] : null
+  };
+}
+
+function isProven(entry, criteria) {
+  const fromTrades = entry.trades >= criteria.minTrades &&
+    entry.pnl > 0 &&
+    (entry.efficiency ?? 0) >= criteria.minEfficiency;
+  const fromLeaderboard = entry.leaderboard != null &&
+    entry.leaderboard.pnl >= criteria.minLeaderboardPnl &&
+    (entry.leaderboard.efficiency ?? 0) >= criteria.minEfficiency;
+  return fromTrades || fromLeaderboard;
+}
+
+/**
+ * Whether a trader has proven edge in a category. Traders without a
+ * specialization profile, and markets without a known category, pass -
+ * there's nothing to judge them on.
+ */
+export function hasProvenEdge(specialization, category) {
+  if (!specialization || !category) return true;
+  return specialization.proven.includes(category);
+}
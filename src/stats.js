@@ -0,0 +1,103 @@
+/**
+ * Small-sample statistics for trader metrics
+ *
+ * A trader with 3/3 wins and one with 300/300 have the same raw win rate.
+ * These helpers put intervals around win rate and profit factor and shrink
+ * point estimates toward a prior, so small samples rank as uncertain rather
+ * than perfect. Pure functions - safe for the api/ edge functions.
+ */
+
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+// Profit factor when there are wins but no losses (matches summarizeClosedPositions)
+const PROFIT_FACTOR_CAP = 10;
+
+function zFor(confidence) {
+  const z = Z_SCORES[confidence];
+  if (!z) {
+    throw new Error(`Unsupported confidence level ${confidence} (use ${Object.keys(Z_SCORES).join(', ')})`);
+  }
+  return z;
+}
+
+/**
+ * Wilson score interval for a binomial proportion
+ * @returns {{ lower: number, upper: number }} [0, 1] when n is 0
+ */
+export function wilsonInterval(successes, n, confidence = 0.95) {
+  if (n <= 0) return { lower: 0, upper: 1 };
+  const z = zFor(confidence);
+  const p = successes / n;
+  const z2 = z * z;
+  const denom = 1 + z2 / n;
+  const center = (p + z2 / (2 * n)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / denom;
+  return { lower: Math.max(0, center - half), upper: Math.min(1, center + half) };
+}
+
+/**
+ * Posterior mean win rate under a Beta prior worth `priorTrades` pseudo-trades
+ * at `priorWinRate`. With no trades this is just the prior.
+ */
+export function shrinkWinRate(wins, n, { priorWinRate = 0.5, priorTrades = 10 } = {}) {
+  if (n + priorTrades === 0) return priorWinRate;
+  return (wins + priorWinRate * priorTrades) / (n + priorTrades);
+}
+
+/**
+ * Profit factor shrunk toward `priorProfitFactor` by adding `priorTrades`
+ * pseudo-trades of average size on both sides.
+ */
+export function shrinkProfitFactor(totalWins, totalLosses, n, { priorProfitFactor = 1, priorTrades = 10 } = {}) {
+  if (n === 0) return priorProfitFactor;
+  const avgTrade = (totalWins + totalLosses) / n;
+  const pseudo = priorTrades * avgTrade / 2;
+  const denom = totalLosses + pseudo;
+  return denom > 0 ? Math.min((totalWins + pseudo * priorProfitFactor) / denom, PROFIT_FACTOR_CAP) : priorProfitFactor;
+}
+
+// Deterministic PRNG so bootstrap intervals don't change run to run
+function seededRandom(seed) {
+  let s = seed >>> 0 || 1;
+  return () => {
+    s = (s * 1664525 + 1013904223) >>> 0;
+    return s / 4294967296;
+  };
+}
+
+function profitFactorOf(pnls) {
+  let wins = 0;
+  let losses = 0;
+  for (const p of pnls) {
+    if (p > 0) wins += p;
+    else losses -= p;
+  }
+  return losses > 0 ? Math.min(wins / losses, PROFIT_FACTOR_CAP) : wins > 0 ? PROFIT_FACTOR_CAP : 1;
+}
+
+/**
+ * Percentile bootstrap interval for profit factor
+ * @param {number[]} pnls - Realized PnL per trade (breakevens excluded)
+ * @returns {{ lower: number, upper: number }} null bounds when there are no trades
+ */
+export function profitFactorInterval(pnls, { confidence = 0.95, resamples = 500 } = {}) {
+  const n = pnls.length;
+  if (n === 0) return { lower: null, upper: null };
+  
+  const random = seededRandom(n * 7919 + Math.round(Math.abs(pnls[0])));
+  const samples = [];
+  const resample = new Array(n);
+  for (let b = 0; b < resamples; b++) {
+    for (let i = 0; i < n; i++) {
+      resample[i] = pnls[Math.floor(random() * n)];
+    }
+    samples.push(profitFactorOf(resample));
+  }
+  samples.sort((a, b) => a - b);
+  
+  const tail = (1 - confidence) / 2;
+  return {
+    lower: samples[Math.floor(tail * (resamples - 1))],
+    upper: samples[Math.ceil((1 - tail) * (resamples - 1))]
+  };
+}
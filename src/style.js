@@ -0,0 +1,170 @@
+/**
+ * Trading style - how a trader bets, not how well
+ *
+ * Built from activity (holding time, trade frequency), closed positions
+ * (entry prices, position size) and portfolio value (sizing). Each trader
+ * gets one label:
+ *
+ *   scalper   - sells within a day of buying
+ *   longshots - mostly buys under 35¢
+ *   favorites - mostly buys over 65¢
+ *   holder    - holds to resolution and redeems
+ *   swing     - sells before resolution, over days
+ *
+ * Pure functions - safe for api/.
+ */
+
+import { PRICE_BUCKETS } from './calibration.js';
+
+export const STYLES = {
+  scalper: 'Sells within a day of buying',
+  longshots: 'Mostly buys under 35¢',
+  favorites: 'Mostly buys over 65¢',
+  holder: 'Holds to resolution',
+  swing: 'Sells before resolution, over days'
+};
+
+export const STYLE_THRESHOLDS = {
+  // Fewer closed positions and trades than this gets no label
+  minTrades: 10,
+  // Scalper: median holding time under this, with most exits sold
+  scalpHours: 24,
+  minSoldShare: 0.5,
+  // Longshots / favorites: share of entries in the price bucket
+  longshotShare: 0.5,
+  favoriteShare: 0.6,
+  // Holder: share of exits redeemed at resolution
+  holderShare: 0.6
+};
+
+const HOUR = 60 * 60 * 1000;
+const WEEK = 7 * 24 * HOUR;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round(n, digits = 1) {
+  if (n == null) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * Portfolio value from a fetchUserValue response ([{ user, value }])
+ * @returns {number|null}
+ */
+export function portfolioValueOf(raw) {
+  const entry = Array.isArray(raw) ? raw[0] : raw;
+  const value = Number(entry?.value);
+  return Number.isFinite(value) ? value : null;
+}
+
+// First buy to last sell or redeem, per market
+function holdingPeriods(activity) {
+  const byMarket = new Map();
+  for (const a of activity) {
+    if (!a.conditionId) continue;
+    if (!byMarket.has(a.conditionId)) byMarket.set(a.conditionId, { entry: null, exit: null, redeemed: false });
+    const m = byMarket.get(a.conditionId);
+    if (a.type === 'TRADE' && a.side === 'BUY') {
+      m.entry = m.entry == null ? a.timestamp : Math.min(m.entry, a.timestamp);
+    } else if ((a.type === 'TRADE' && a.side === 'SELL') || a.type === 'REDEEM') {
+      if (m.exit == null || a.timestamp >= m.exit) {
+        m.exit = a.timestamp;
+        m.redeemed = a.type === 'REDEEM';
+      }
+    }
+  }
+  return [...byMarket.values()]
+    .filter(m => m.entry != null && m.exit != null && m.exit >= m.entry)
+    .map(m => ({ hours: (m.exit - m.entry) / HOUR, redeemed: m.redeemed }));
+}
+
+function label(profile, t) {
+  const { holding, entryPrice } = profile;
+  if (holding.medianHours != null && holding.medianHours < t.scalpHours && 1 - holding.heldToResolution >= t.minSoldShare) {
+    return 'scalper';
+  }
+  if ((entryPrice.buckets.longshot ?? 0) >= t.longshotShare) return 'longshots';
+  if ((entryPrice.buckets.favorite ?? 0) >= t.favoriteShare) return 'favorites';
+  if (holding.heldToResolution != null && holding.heldToResolution >= t.holderShare) return 'holder';
+  return 'swing';
+}
+
+/**
+ * Style profile for one trader
+ * @param {Object} data
+ * @param {Object[]} data.activity - Normalized activity
+ * @param {Object[]} data.closedPositions - Normalized closed positions
+ * @param {number|null} data.portfolioValue - Current portfolio value in USD
+ * @returns {{ label: string|null, holding: Object, entryPrice: Object, positionSizePct: number|null, tradesPerWeek: number|null, portfolioValue: number|null }}
+ */
+export function classifyStyle({ activity = [], closedPositions = [], portfolioValue = null }, thresholds = STYLE_THRESHOLDS) {
+  const t = { ...STYLE_THRESHOLDS, ...thresholds };
+  
+  const periods = holdingPeriods(activity);
+  const holding = {
+    markets: periods.length,
+    medianHours: round(median(periods.map(p => p.hours))),
+    meanHours: periods.length > 0 ? round(periods.reduce((s, p) => s + p.hours, 0) / periods.length) : null,
+    heldToResolution: periods.length > 0 ? round(periods.filter(p => p.redeemed).length / periods.length, 2) : null
+  };
+  
+  const prices = closedPositions.map(p => p.avgPrice).filter(p => p > 0 && p < 1);
+  const entryPrice = {
+    avg: prices.length > 0 ? round(prices.reduce((s, p) => s + p, 0) / prices.length, 2) : null,
+    buckets: Object.fromEntries(PRICE_BUCKETS.map(b => [
+      b.name,
+      prices.length > 0 ? round(prices.filter(p => p >= b.min && p < b.max).length / prices.length, 2) : null
+    ]))
+  };
+  
+  // Typical position cost as a share of what the trader holds now
+  const sizes = closedPositions.map(p => p.usdSize).filter(s => s > 0);
+  const positionSizePct = portfolioValue > 0 && sizes.length > 0
+    ? round(median(sizes) / portfolioValue * 100)
+    : null;
+  
+  const trades = activity.filter(a => a.type === 'TRADE').map(a => a.timestamp);
+  const span = trades.length > 1 ? Math.max(...trades) - Math.min(...trades) : 0;
+  const tradesPerWeek = trades.length > 0 ? round(trades.length / Math.max(span / WEEK, 1)) : null;
+  
+  const profile = { label: null, holding, entryPrice, positionSizePct, tradesPerWeek, portfolioValue };
+  if (prices.length >= t.minTrades || trades.length >= t.minTrades) {
+    profile.label = label(profile, t);
+  }
+  return profile;
+}
+
+/**
+ * Style filter from `--style=<label>[,<label>]` in args, null when absent
+ * @param {string[]} args
+ */
+export function parseStyleFilter(args = []) {
+  const flag = args.find(a => a.startsWith('--style='));
+  if (!flag) return null;
+  const styles = flag.slice('--style='.length).split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = styles.filter(s => !STYLES[s]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown style "${unknown.join(', ')}" (available: ${Object.keys(STYLES).join(', ')})`);
+  }
+  return styles;
+}
+
+export function matchesStyle(style, filter) {
+  return !filter || filter.includes(style?.label);
+}
+
+/**
+ * Holding time for display: minutes, hours or days
+ */
+export function formatHoldingTime(hours) {
+  if (hours == null) return '-';
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  if (hours < 48) return `${round(hours)}h`;
+  return `${round(hours / 24)}d`;
+}
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/**
+ * Watchlist curation - promote edge traders to data/edge-watchlist.json
+ *
+ * copy-trader, whale-watcher and /api/edge-watchlist read the watchlist;
+ * edge-detector only writes edge-traders.json. `curate` applies the rules in
+ * watchlist-rules.json (or --rules=<file>) to the latest edge results:
+ *
+ *   minEdgeScore - drop traders scoring below this
+ *   minTrades    - drop traders with fewer closed positions scored
+ *   maxSize      - keep at most this many, best score first (pinned count toward it)
+ *   maxDecay     - drop traders whose score fell more than this over recent runs (null = off)
+ *   exclude      - wallets or user names never to include
+ *   pinned       - wallets or user names always included, whatever their score
+ *
+ * The previous watchlist is kept in edge-watchlist.prev.json for diffing.
+ *
+ * Usage:
+ *   node src/watchlist.js curate [--rules=<file>] [--dry-run]
+ *   node src/watchlist.js diff   - Previous watchlist vs current
+ *   node src/watchlist.js show   - Current watchlist
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync, copyFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import DEFAULT_RULES from './watchlist-rules.json' with { type: 'json' };
+import { excludeDecayingTraders } from './edge-history.js';
+
+const DATA_DIR = './data';
+const EDGE_FILE = `${DATA_DIR}/edge-traders.json`;
+const WATCHLIST_FILE = `${DATA_DIR}/edge-watchlist.json`;
+const PREVIOUS_FILE = `${DATA_DIR}/edge-watchlist.prev.json`;
+
+function loadJson(path) {
+  if (!existsSync(path)) return null;
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * Rules from a JSON file (defaults for anything it leaves out), or the defaults
+ * @param {string} path
+ */
+export function loadRules(path) {
+  if (!path) return { ...DEFAULT_RULES };
+  if (!existsSync(path)) {
+    throw new Error(`Rules file not found: ${path}`);
+  }
+  return { ...DEFAULT_RULES, ...JSON.parse(readFileSync(path, 'utf-8')) };
+}
+
+function matchesAny(trader, list) {
+  const keys = list.map(k => String(k).toLowerCase());
+  return keys.includes(trader.wallet.toLowerCase()) || keys.includes(String(trader.userName).toLowerCase());
+}
+
+function toEntry(trader, pinned = false) {
+  return {
+    wallet: trader.wallet,
+    userName: trader.userName,
+    edgeScore: trader.edgeScore ?? null,
+    pnl: trader.stats?.pnl ?? trader.pnl ?? null,
+    trades: trader.stats?.sampleSize ?? trader.trades ?? null,
+    ...(trader.clusterId && { clusterId: trader.clusterId, wallets: trader.wallets }),
+    ...(pinned && { pinned: true })
+  };
+}
+
+/**
+ * Apply rules to edge results
+ * @param {Object[]} edgeTraders - traders from edge-traders.json
+ * @param {Object} rules - See watchlist-rules.json
+ * @param {Object[]} previous - Previous watchlist entries, to carry pinned traders missing from the edge results
+ * @returns {{ traders: Object[], rejected: { wallet: string, userName: string, reason: string }[] }}
+ */
+export function curateWatchlist(edgeTraders, rules, previous = []) {
+  const rejected = [];
+  const reject = (trader, reason) => rejected.push({ wallet: trader.wallet, userName: trader.userName, reason });
+  
+  const isPinned = t => matchesAny(t, rules.pinned);
+  const pinned = [];
+  const candidates = [];
+  
+  for (const trader of edgeTraders) {
+    if (matchesAny(trader, rules.exclude)) {
+      reject(trader, 'excluded');
+    } else if (isPinned(trader)) {
+      pinned.push(toEntry(trader, true));
+    } else if (trader.edgeScore < rules.minEdgeScore) {
+      reject(trader, `edge score ${trader.edgeScore} < ${rules.minEdgeScore}`);
+    } else if ((trader.stats?.sampleSize ?? 0) < rules.minTrades) {
+      reject(trader, `${trader.stats?.sampleSize ?? 0} trades < ${rules.minTrades}`);
+    } else {
+      candidates.push(trader);
+    }
+  }
+  
+  // Pinned wallets that aren't in this edge run keep their last known entry
+  const seen = new Set(edgeTraders.map(t => t.wallet.toLowerCase()));
+  for (const wallet of rules.pinned) {
+    const key = String(wallet).toLowerCase();
+    if (!key.startsWith('0x') || seen.has(key) || rules.exclude.some(k => String(k).toLowerCase() === key)) continue;
+    const known = previous.find(t => t.wallet.toLowerCase() === key);
+    pinned.push(toEntry(known || { wallet, userName: wallet.slice(0, 10) }, true));
+  }
+  
+  const { kept, decaying } = excludeDecayingTraders(candidates, { maxDecay: rules.maxDecay });
+  for (const d of decaying) {
+    reject(d, `edge score fell ${d.from} → ${d.to}`);
+  }
+  
+  kept.sort((a, b) => b.edgeScore - a.edgeScore);
+  const slots = Math.max(rules.maxSize - pinned.length, 0);
+  for (const trader of kept.slice(slots)) {
+    reject(trader, `over max size ${rules.maxSize}`);
+  }
+  
+  return {
+    traders: [...pinned, ...kept.slice(0, slots).map(t => toEntry(t))],
+    rejected
+  };
+}
+
+/**
+ * Compare two watchlists
+ * @returns {{ added: Object[], dropped: Object[], kept: Object[] }}
+ */
+export function diffWatchlists(previous, next) {
+  const before = new Set(previous.map(t => t.wallet.toLowerCase()));
+  const after = new Set(next.map(t => t.wallet.toLowerCase()));
+  return {
+    added: next.filter(t => !before.has(t.wallet.toLowerCase())),
+    dropped: previous.filter(t => !after.has(t.wallet.toLowerCase())),
+    kept: next.filter(t => before.has(t.wallet.toLowerCase()))
+  };
+}
+
+function printDiff(previous, next, rejected = []) {
+  const { added, dropped, kept } = diffWatchlists(previous, next);
+  const reasons = new Map(rejected.map(r => [r.wallet.toLowerCase(), r.reason]));
+  
+  console.log(`\n➕ Added (${added.length}):`);
+  for (const t of added) {
+    console.log(`  ${t.userName}${t.edgeScore != null ? ` (${t.edgeScore})` : ''}${t.pinned ? ' 📌' : ''}`);
+  }
+  console.log(`\n➖ Dropped (${dropped.length}):`);
+  for (const t of dropped) {
+    const reason = reasons.get(t.wallet.toLowerCase());
+    console.log(`  ${t.userName}${t.edgeScore != null ? ` (${t.edgeScore})` : ''}${reason ? ` - ${reason}` : ''}`);
+  }
+  console.log(`\n= Unchanged: ${kept.length}`);
+}
+
+function curate(rulesPath, dryRun = false) {
+  const edge = loadJson(EDGE_FILE);
+  if (!edge) {
+    console.log('No edge data yet. Run: npm run edge');
+    return;
+  }
+  const rules = loadRules(rulesPath);
+  const current = loadJson(WATCHLIST_FILE);
+  const previous = current?.traders || [];
+  
+  console.log(`Curating from ${edge.count} edge traders (${edge.profile} profile, ${edge.fetchedAt})`);
+  console.log(`Rules: score ≥ ${rules.minEdgeScore}, trades ≥ ${rules.minTrades}, max ${rules.maxSize}` +
+    (rules.maxDecay != null ? `, decay ≤ ${rules.maxDecay}` : '') +
+    `, ${rules.exclude.length} excluded, ${rules.pinned.length} pinned`);
+  
+  const { traders, rejected } = curateWatchlist(edge.traders, rules, previous);
+  const watchlist = {
+    updatedAt: new Date().toISOString(),
+    description: `Top ${traders.length} edge traders (${edge.profile} profile)`,
+    source: { fetchedAt: edge.fetchedAt, profile: edge.profile },
+    rules,
+    traders,
+    rejected
+  };
+  
+  printDiff(previous, traders, rejected);
+  
+  if (dryRun) {
+    console.log('\nDry run - watchlist not written');
+    return;
+  }
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+  if (current) {
+    copyFileSync(WATCHLIST_FILE, PREVIOUS_FILE);
+  }
+  writeFileSync(WATCHLIST_FILE, JSON.stringify(watchlist, null, 2));
+  console.log(`\nSaved ${traders.length} traders to ${WATCHLIST_FILE}${current ? ` (previous in ${PREVIOUS_FILE})` : ''}`);
+}
+
+function showDiff() {
+  const current = loadJson(WATCHLIST_FILE);
+  const previous = loadJson(PREVIOUS_FILE);
+  if (!current || !previous) {
+    console.log('Need a current and a previous watchlist. Run: npm run watchlist:curate');
+    return;
+  }
+  console.log(`Watchlist ${previous.updatedAt || '?'} → ${current.updatedAt || '?'}`);
+  printDiff(previous.traders, current.traders, current.rejected);
+}
+
+function showWatchlist() {
+  const current = loadJson(WATCHLIST_FILE);
+  if (!current) {
+    console.log('No watchlist yet. Run: npm run watchlist:curate');
+    return;
+  }
+  console.log(`\n${current.description || 'Edge watchlist'} - updated ${current.updatedAt || '?'}\n`);
+  current.traders.forEach((t, i) => {
+    console.log(
+      `${i + 1}`.padStart(3) + '. ' +
+      (t.userName || t.wallet.slice(0, 10)).slice(0, 24).padEnd(26) +
+      (t.edgeScore != null ? `${t.edgeScore}` : '-').padStart(7) +
+      (t.trades != null ? `${t.trades} trades` : '').padStart(13) +
+      (t.pinned ? '  📌' : '')
+    );
+  });
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2).filter(a => !a.startsWith('--'));
+  const rulesFlag = process.argv.find(a => a.startsWith('--rules='));
+  
+  if (args[0] === 'curate') {
+    curate(rulesFlag?.slice('--rules='.length), process.argv.includes('--dry-run'));
+  } else if (args[0] === 'diff') {
+    showDiff();
+  } else if (args[0] === 'show') {
+    showWatchlist();
+  } else {
+    console.log('Usage: node src/watchlist.js curate [--rules=<file>] [--dry-run] | diff | show');
+  }
+}
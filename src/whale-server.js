@@ -6,7 +6,11 @@
 
 import { createServer } from 'http';
 import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
-import { fetchActivity, fetchLeaderboard } from './api.js';
+import { fetchActivity, fetchLeaderboard, sampleClosedPositions, getRequestMetrics } from './api.js';
+import { normalizeAll, normalizeActivity, normalizeLeaderboardEntry, normalizeClosedPosition } from './models.js';
+import { summarizeClosedPositions, isCopyCandidate as meetsCopyCriteria, getScoringProfile } from './scoring.js';
+import { resolveSamplingMode } from './sampling.js';
+import { excludeFlaggedWallets } from './classifier.js';
 
 const PORT = process.env.PORT || 8080;
 const DATA_DIR = './data';
@@ -18,6 +22,10 @@ const CONFIG = {
   minTradeSize: 10000,
   watchCount: 50,
   pollInterval: 60000,
+  scoringProfile: getScoringProfile(process.env.SCORING_PROFILE || undefined),
+  samplingMode: resolveSamplingMode([], process.env.POLYMARKET_SAMPLE_MODE),
+  // Closed positions sampled per copy-candidate check
+  closedSampleSize: 200,
   telegramToken: process.env.TELEGRAM_BOT_TOKEN || null,
   telegramChat: process.env.TELEGRAM_CHAT_ID || null
 };
@@ -61,7 +69,7 @@ async function sendAlert(message, trade, isCopyCandidate = false) {
   if (CONFIG.telegramToken && CONFIG.telegramChat) {
     try {
       const text = trade 
-        ? `${emoji} *${isCopyCandidate ? 'Copy Signal' : 'Whale Alert'}*\n\n*${trade.userName}* ${trade.side} *${trade.outcome}*\n💰 Size: $${trade.size?.toLocaleString()}\n📊 Market: ${trade.market}\n${isCopyCandidate ? `\n✨ _This trader has 70%+ win rate & 30%+ efficiency_` : ''}\n\n[View Profile](https://polymarket.com/profile/${trade.wallet})`
+        ? `${emoji} *${isCopyCandidate ? 'Copy Signal' : 'Whale Alert'}*\n\n*${trade.userName}* ${trade.side} *${trade.outcome}*\n💰 Size: $${trade.size?.toLocaleString()}\n📊 Market: ${trade.market}\n${isCopyCandidate ? `\n✨ _This trader has ${Math.round(CONFIG.scoringProfile.copyCandidate.minWinRate * 100)}%+ win rate & ${Math.round(CONFIG.scoringProfile.copyCandidate.minEfficiency * 100)}%+ efficiency_` : ''}\n\n[View Profile](https://polymarket.com/profile/${trade.wallet})`
         : `${emoji} ${message}`;
       
       await fetch(`https://api.telegram.org/bot${CONFIG.telegramToken}/sendMessage`, {
@@ -80,14 +88,6 @@ async function sendAlert(message, trade, isCopyCandidate = false) {
   }
 }
 
-async function fetchClosedPositions(wallet) {
-  const params = new URLSearchParams({
-    user: wallet, sortBy: 'realizedpnl', sortDirection: 'DESC', limit: '50'
-  });
-  const res = await fetch(`https://data-api.polymarket.com/closed-positions?${params}`);
-  return res.json();
-}
-
 async function updateWatchlist(state) {
   console.log('Updating watchlist with copy candidate detection...');
   
@@ -100,53 +100,58 @@ async function updateWatchlist(state) {
   
   // Combine and dedupe
   const traderMap = new Map();
-  for (const t of [...allTime, ...monthly, ...weekly]) {
-    if (!traderMap.has(t.proxyWallet) && (t.pnl || 0) > 0 && (t.vol || 0) > 10000) {
-      traderMap.set(t.proxyWallet, {
-        wallet: t.proxyWallet,
+  const { items: entries } = normalizeAll([...allTime, ...monthly, ...weekly], normalizeLeaderboardEntry, { source: 'leaderboard' });
+  for (const t of entries) {
+    if (!traderMap.has(t.wallet) && t.pnl > 0 && t.volume > 10000) {
+      traderMap.set(t.wallet, {
+        wallet: t.wallet,
         userName: t.userName,
         pnl: t.pnl,
-        volume: t.vol,
-        efficiency: t.pnl / (t.vol || 1),
+        volume: t.volume,
+        efficiency: t.pnl / (t.volume || 1),
         isCopyCandidate: false
       });
     }
   }
   
-  // Check which are copy candidates (15+ trades, 70%+ win rate, 30%+ efficiency)
-  console.log('Checking for copy candidates...');
+  // Check which are copy candidates (thresholds from the scoring profile)
+  console.log(`Checking for copy candidates (${CONFIG.scoringProfile.name} profile)...`);
   const topTraders = Array.from(traderMap.values())
     .sort((a, b) => b.efficiency - a.efficiency)
     .slice(0, 40);
   
   for (const trader of topTraders) {
     try {
-      const closed = await fetchClosedPositions(trader.wallet);
-      const wins = closed.filter(p => p.realizedPnl > 0).length;
-      const losses = closed.filter(p => p.realizedPnl < 0).length;
-      const totalTrades = wins + losses;
-      const winRate = totalTrades > 0 ? wins / totalTrades : 0;
+      const { items: closedRaw, sample } = await sampleClosedPositions(trader.wallet, {
+        mode: CONFIG.samplingMode,
+        maxItems: CONFIG.closedSampleSize
+      });
+      const { items: closed } = normalizeAll(closedRaw, normalizeClosedPosition, { source: 'closed position' });
+      const summary = summarizeClosedPositions(closed);
       
-      // Copy candidate criteria: 15+ trades, 70%+ win rate, 30%+ efficiency
-      if (totalTrades >= 15 && winRate >= 0.70 && trader.efficiency >= 0.30) {
+      if (meetsCopyCriteria(summary, trader.efficiency, CONFIG.scoringProfile)) {
         trader.isCopyCandidate = true;
-        trader.winRate = winRate;
-        trader.totalTrades = totalTrades;
-        console.log(`  ✓ ${trader.userName} is a COPY CANDIDATE (${totalTrades} trades, ${(winRate*100).toFixed(0)}% win rate)`);
+        trader.winRate = summary.winRate;
+        trader.totalTrades = summary.totalTrades;
+        trader.closedSampled = sample.sampled;
+        trader.closedTotal = sample.total;
+        console.log(`  ✓ ${trader.userName} is a COPY CANDIDATE (${summary.totalTrades} trades of ${sample.total} closed, ${(summary.winRate*100).toFixed(0)}% win rate)`);
       }
-      
-      await new Promise(r => setTimeout(r, 100));
     } catch (err) {}
   }
   
-  // Sort by efficiency and take top N, prioritizing copy candidates
-  state.watchlist = Array.from(traderMap.values())
+  // Sort by efficiency, prioritizing copy candidates
+  const ranked = Array.from(traderMap.values())
     .sort((a, b) => {
       if (a.isCopyCandidate && !b.isCopyCandidate) return -1;
       if (!a.isCopyCandidate && b.isCopyCandidate) return 1;
       return b.efficiency - a.efficiency;
-    })
-    .slice(0, CONFIG.watchCount);
+    });
+  
+  // Drop market makers, bots and wash traders, then take top N
+  const { kept, excluded } = await excludeFlaggedWallets(ranked.slice(0, CONFIG.watchCount * 2));
+  state.watchlist = kept.slice(0, CONFIG.watchCount);
+  state.excluded = excluded;
   
   const copyCandidates = state.watchlist.filter(t => t.isCopyCandidate);
   console.log(`Watching ${state.watchlist.length} traders (${copyCandidates.length} copy candidates)`);
@@ -156,43 +161,33 @@ async function updateWatchlist(state) {
 
 async function checkTraderActivity(trader, state) {
   try {
-    const activity = await fetchActivity(trader.wallet, { limit: 10 });
-    if (!activity || activity.length === 0) return [];
+    const raw = await fetchActivity(trader.wallet, { limit: 10 });
+    const { items: activity } = normalizeAll(raw, normalizeActivity, { source: `${trader.userName} activity` });
+    if (activity.length === 0) return [];
     
     // On first run, use initialization time to skip all historical trades
     const lastSeen = state.lastSeen[trader.wallet] || state.initialized || Date.now();
     const newTrades = [];
     
     for (const trade of activity) {
-      // Polymarket returns timestamp in seconds, convert to ms
-      const tradeTime = (typeof trade.timestamp === 'number' && trade.timestamp < 10000000000) 
-        ? trade.timestamp * 1000 
-        : new Date(trade.timestamp).getTime();
-      
-      if (tradeTime <= lastSeen) continue;
+      if (trade.timestamp <= lastSeen) continue;
       
-      const size = Math.abs(trade.usdcSize || trade.size || 0);
+      const size = Math.abs(trade.usdSize);
       if (size < CONFIG.minTradeSize) continue;
       
       newTrades.push({
         wallet: trader.wallet,
         userName: trader.userName,
-        side: trade.side || (trade.type === 'buy' ? 'BUY' : 'SELL'),
+        side: trade.side || trade.type,
         outcome: trade.outcome || trade.title,
-        market: trade.eventTitle || trade.market || trade.slug,
+        market: trade.title,
         size,
         price: trade.price,
-        timestamp: trade.timestamp
+        timestamp: new Date(trade.timestamp).toISOString()
       });
     }
     
-    if (activity.length > 0) {
-      const latestTime = Math.max(...activity.map(t => {
-        const ts = t.timestamp;
-        return (typeof ts === 'number' && ts < 10000000000) ? ts * 1000 : new Date(ts).getTime();
-      }));
-      state.lastSeen[trader.wallet] = latestTime;
-    }
+    state.lastSeen[trader.wallet] = Math.max(lastSeen, ...activity.map(t => t.timestamp));
     
     return newTrades;
   } catch (err) {
@@ -245,7 +240,6 @@ async function runOnce() {
         isCopyCandidate
       );
     }
-    await new Promise(r => setTimeout(r, 200));
   }
   
   saveState(state);
@@ -279,7 +273,8 @@ const server = createServer((req, res) => {
       status: 'ok',
       lastCheck,
       tradesFound,
-      uptime: process.uptime()
+      uptime: process.uptime(),
+      requests: getRequestMetrics()
     }));
   } else if (req.url === '/activity') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -7,7 +7,12 @@
 import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { fetchActivity, fetchPositions, fetchLeaderboard } from './api.js';
+import { fetchActivity, fetchLeaderboard } from './api.js';
+import { normalizeAll, normalizeActivity, normalizeLeaderboardEntry } from './models.js';
+import { getMarkets } from './markets.js';
+import { getPriceContext, formatPriceMove } from './clob.js';
+import { excludeFlaggedWallets } from './classifier.js';
+import { excludeDecayingTraders, resolveMaxDecay } from './edge-history.js';
 
 // Load .env file
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -35,6 +40,9 @@ const CONFIG = {
   minTradeSize: 10000,
   // Number of top traders to watch
   watchCount: 50,
+  // Drop traders whose edge score fell by more than this many points over
+  // the last few edge runs (--max-decay=<points>); null keeps everyone
+  maxEdgeDecay: resolveMaxDecay(process.argv.slice(2), process.env.MAX_EDGE_DECAY),
   // Poll interval (ms)
   pollInterval: 60000,
   // Webhook URL for alerts (optional)
@@ -74,7 +82,10 @@ async function sendAlert(message, trade) {
     console.log(`   Trader: ${trade.userName}`);
     console.log(`   Action: ${trade.side} ${trade.outcome}`);
     console.log(`   Size: $${trade.size?.toLocaleString()}`);
-    console.log(`   Market: ${trade.market}`);
+    if (trade.priceMove) {
+      console.log(`   Price: ${trade.priceMove}`);
+    }
+    console.log(`   Market: ${trade.market}${trade.category ? ` [${trade.category}]` : ''}`);
     console.log(`   Profile: https://polymarket.com/profile/${trade.wallet}`);
   }
   
@@ -99,12 +110,13 @@ async function sendAlert(message, trade) {
         const side = trade.side?.toUpperCase() || 'TRADE';
         const sideEmoji = side === 'BUY' ? '🟢' : side === 'SELL' ? '🔴' : '⚪';
         const priceStr = trade.price ? ` @ ${(trade.price * 100).toFixed(1)}¢` : '';
+        const nowStr = trade.currentPrice != null ? ` → now ${(trade.currentPrice * 100).toFixed(1)}¢` : '';
         const timestamp = new Date().toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' });
         
         const edgeBadge = trade.isEdgeTrader ? '🎯 EDGE TRADER' : '🐋 WHALE';
         const edgeScoreStr = trade.edgeScore ? ` │ EDGE    ${trade.edgeScore}` : '';
         
-        text = `${sideEmoji} <b>${side}</b> <code>$${trade.size?.toLocaleString()}</code>${priceStr}
+        text = `${sideEmoji} <b>${side}</b> <code>$${trade.size?.toLocaleString()}</code>${priceStr}${nowStr}
 
 <b>${trade.outcome}</b>
 ${trade.market}
@@ -167,11 +179,12 @@ async function updateWatchlist(state) {
     limit: CONFIG.watchCount 
   });
   
-  const leaderboardTraders = topByPnl.map(t => ({
-    wallet: t.proxyWallet,
+  const { items: entries } = normalizeAll(topByPnl, normalizeLeaderboardEntry, { source: 'leaderboard' });
+  const leaderboardTraders = entries.map(t => ({
+    wallet: t.wallet,
     userName: t.userName,
     pnl: t.pnl,
-    volume: t.vol,
+    volume: t.volume,
     isEdgeTrader: false
   }));
   
@@ -185,42 +198,47 @@ async function updateWatchlist(state) {
     }
   }
   
-  state.watchlist = combined;
-  console.log(`Watching ${state.watchlist.length} traders (${edgeTraders.length} edge + ${combined.length - edgeTraders.length} leaderboard)`);
+  // Market makers, bots and wash traders flood alerts without telling us anything
+  const { kept: unflagged, excluded } = await excludeFlaggedWallets(combined);
+  // Edge that's fading run over run isn't worth alerting on
+  const { kept, decaying } = excludeDecayingTraders(unflagged, { maxDecay: CONFIG.maxEdgeDecay });
+  state.watchlist = kept;
+  state.excluded = excluded;
+  state.decaying = decaying;
+  const edgeCount = kept.filter(t => t.isEdgeTrader).length;
+  console.log(`Watching ${state.watchlist.length} traders (${edgeCount} edge + ${kept.length - edgeCount} leaderboard)`);
   saveState(state);
 }
 
 async function checkTraderActivity(trader, state) {
   try {
-    const activity = await fetchActivity(trader.wallet, { limit: 10 });
+    const raw = await fetchActivity(trader.wallet, { limit: 10 });
+    const { items: activity } = normalizeAll(raw, normalizeActivity, { source: `${trader.userName} activity` });
     
-    if (!activity || activity.length === 0) return [];
+    if (activity.length === 0) return [];
     
     const lastSeen = state.lastSeen[trader.wallet] || 0;
     const newTrades = [];
     
     for (const trade of activity) {
-      // Polymarket returns timestamp in seconds, convert to ms
-      const tradeTime = (typeof trade.timestamp === 'number' && trade.timestamp < 10000000000) 
-        ? trade.timestamp * 1000 
-        : new Date(trade.timestamp).getTime();
-      
       // Skip old trades
-      if (tradeTime <= lastSeen) continue;
+      if (trade.timestamp <= lastSeen) continue;
       
       // Skip small trades
-      const size = Math.abs(trade.usdcSize || trade.size || 0);
+      const size = Math.abs(trade.usdSize);
       if (size < CONFIG.minTradeSize) continue;
       
       newTrades.push({
         wallet: trader.wallet,
         userName: trader.userName,
-        side: trade.side || (trade.type === 'buy' ? 'BUY' : 'SELL'),
+        side: trade.side || trade.type,
         outcome: trade.outcome || trade.title,
-        market: trade.eventTitle || trade.market || trade.slug,
+        market: trade.title,
+        conditionId: trade.conditionId,
+        asset: trade.asset,
         size,
         price: trade.price,
-        timestamp: new Date(tradeTime).toISOString(),
+        timestamp: new Date(trade.timestamp).toISOString(),
         traderPnl: trader.pnl,
         traderVolume: trader.volume,
         isEdgeTrader: trader.isEdgeTrader || false,
@@ -229,12 +247,26 @@ async function checkTraderActivity(trader, state) {
     }
     
     // Update last seen
-    if (activity.length > 0) {
-      const latestTime = Math.max(...activity.map(t => {
-        const ts = t.timestamp;
-        return (typeof ts === 'number' && ts < 10000000000) ? ts * 1000 : new Date(ts).getTime();
-      }));
-      state.lastSeen[trader.wallet] = latestTime;
+    state.lastSeen[trader.wallet] = Math.max(lastSeen, ...activity.map(t => t.timestamp));
+    
+    // Attach market category/end date from the catalog
+    if (newTrades.length > 0) {
+      const markets = await getMarkets(newTrades.map(t => t.conditionId));
+      for (const trade of newTrades) {
+        const market = markets[trade.conditionId];
+        trade.category = market?.category || null;
+        trade.marketEndDate = market?.endDate ? new Date(market.endDate).toISOString() : null;
+        
+        if (trade.asset) {
+          try {
+            const { currentPrice } = await getPriceContext(trade.asset);
+            trade.currentPrice = currentPrice;
+            trade.priceMove = formatPriceMove(trade.price, currentPrice);
+          } catch (err) {
+            // Price context is best-effort
+          }
+        }
+      }
     }
     
     return newTrades;
@@ -270,9 +302,6 @@ async function runOnce() {
       allActivity.unshift(trade);
       await sendAlert(`${trader.userName} made a $${trade.size.toLocaleString()} trade`, trade);
     }
-    
-    // Rate limit
-    await new Promise(r => setTimeout(r, 200));
   }
   
   saveState(state);
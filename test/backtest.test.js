@@ -0,0 +1,79 @@
+/**
+ * Backtest replay of trades into signals
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { replaySignals, simulateCopies } from '../src/backtest.js';
+import { DEFAULT_SIGNAL_RULES } from '../src/signals.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2026, 8, 1);
+
+function trade(timestamp, asset, usd, side = 'BUY', price = 0.5) {
+  return {
+    timestamp,
+    traderWallet: '0xA',
+    side,
+    asset,
+    conditionId: `0xcondition${asset}`,
+    title: `Market ${asset}`,
+    outcome: 'Yes',
+    outcomeIndex: 0,
+    shares: usd / price,
+    price,
+    usdSize: usd
+  };
+}
+
+const traders = [{ wallet: '0xA', name: 'A', edgeScore: 150 }];
+const rules = { ...DEFAULT_SIGNAL_RULES, fullConvictionShare: 0.5 };
+
+test('replaySignals sizes conviction against the portfolio before the move', () => {
+  const signals = replaySignals([
+    trade(START + 1000, '1', 50000),
+    trade(START + HOUR + 1000, '2', 20000)
+  ], { traders, windowMinutes: 60, rules });
+  
+  assert.deepEqual(signals.map(s => s.market), ['Market 1', 'Market 2']);
+  // $20k of the $50k held before is 0.8 of full conviction (not 0.57 of the $70k after), x1.5 edge weight
+  assert.equal(signals[1].traders[0].weight, 1.2);
+});
+
+test('replaySignals weighs a full exit against what was held', () => {
+  const signals = replaySignals([
+    trade(START + 1000, '1', 50000),
+    trade(START + 1000, '2', 150000),
+    trade(START + HOUR + 1000, '1', 50000, 'SELL')
+  ], { traders, windowMinutes: 60, rules });
+  
+  const exit = signals.find(s => s.side === 'SELL');
+  assert.ok(exit);
+  // $50k of the $200k held before the exit (not of the $150k left), x1.5 edge weight
+  assert.equal(exit.traders[0].weight, 0.75);
+});
+
+test('simulateCopies marks a market that resolves after the end at its price then', () => {
+  const [signal] = replaySignals([trade(START + 1000, '1', 50000)], { traders, windowMinutes: 60, rules });
+  const prices = new Map([['1', [{ timestamp: START, price: 0.5 }, { timestamp: START + 5 * HOUR, price: 0.6 }]]]);
+  const market = { conditionId: '0xcondition1', outcomes: ['Yes', 'No'], winningOutcome: 'Yes' };
+  const end = START + 10 * HOUR;
+  const run = settledTime => simulateCopies([signal], {
+    prices,
+    markets: { '0xcondition1': { ...market, closedTime: settledTime } },
+    slippage: 0,
+    start: START,
+    end
+  });
+  
+  // Resolved after the end: the outcome wasn't known yet
+  const later = run(end + HOUR);
+  assert.equal(later.summary.openPositions, 1);
+  assert.equal(later.portfolio.positions[0].markPrice, 0.6);
+  
+  // Resolved before the end: settled at 100¢
+  const before = run(end - HOUR);
+  assert.equal(before.summary.openPositions, 0);
+  assert.equal(before.portfolio.closed[0].exitPrice, 1);
+  assert.equal(before.portfolio.closed[0].reason, 'resolution');
+});
@@ -0,0 +1,36 @@
+/**
+ * Calibration against the market's implied probability
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCalibration } from '../src/calibration.js';
+
+function closed(avgPrice, curPrice, realizedPnl) {
+  return { conditionId: '0xc', avgPrice, curPrice, realizedPnl };
+}
+
+test('calculateCalibration scores positions held to resolution by their settled price', () => {
+  const calibration = calculateCalibration([closed(0.3, 1, 70), closed(0.3, 0, -30)]);
+  
+  assert.equal(calibration.trades, 2);
+  assert.equal(calibration.expectedWinRate, 0.3);
+  assert.equal(calibration.realizedWinRate, 0.5);
+  assert.equal(calibration.buckets.longshot.trades, 2);
+});
+
+test('calculateCalibration leaves out a profitable early exit', () => {
+  // Bought at 30¢, sold at 35¢ - a profit, not a resolved win against 30%
+  const calibration = calculateCalibration([closed(0.3, 0.35, 5), closed(0.3, 0, -30)]);
+  
+  assert.equal(calibration.trades, 1);
+  assert.equal(calibration.realizedWinRate, 0);
+  assert.ok(calibration.excessWinRate < 0);
+});
+
+test('calculateCalibration has no metrics without resolved positions', () => {
+  const calibration = calculateCalibration([closed(0.3, 0.35, 5), closed(0.5, null, 10)]);
+  
+  assert.equal(calibration.trades, 0);
+  assert.equal(calibration.alphaZ, null);
+});
@@ -0,0 +1,69 @@
+/**
+ * Flagged-wallet exclusion, with confirmed clusters classified member by member
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { excludeFlaggedWallets } from '../src/classifier.js';
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2026, 8, 1);
+
+// Six buy/sell round trips at the same size and price - wash trading
+function washActivity() {
+  return Array.from({ length: 12 }, (_, i) => ({
+    type: 'TRADE',
+    side: i % 2 === 0 ? 'BUY' : 'SELL',
+    asset: '1001',
+    conditionId: '0xfixture01',
+    outcomeIndex: 0,
+    shares: 1000,
+    price: 0.5,
+    timestamp: START + i * MINUTE
+  }));
+}
+
+function fetchWallet(wallet) {
+  return Promise.resolve({ activity: wallet === '0xwash' ? washActivity() : [], positions: [] });
+}
+
+function inTempDir(t) {
+  const cwd = process.cwd();
+  const dir = mkdtempSync(join(tmpdir(), 'classifier-test-'));
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+test('excludeFlaggedWallets classifies every wallet of a cluster and drops the whole cluster for one flag', async t => {
+  inTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const classified = [];
+  
+  const { kept, excluded } = await excludeFlaggedWallets([
+    { wallet: '0xclean', userName: 'Clean' },
+    { wallet: '0xlead', userName: 'Cluster', clusterId: 'c1', wallets: ['0xlead', '0xwash'] }
+  ], { fetchWallet: wallet => (classified.push(wallet), fetchWallet(wallet)) });
+  
+  assert.deepEqual(classified, ['0xclean', '0xlead', '0xwash']);
+  assert.deepEqual(kept.map(k => k.wallet), ['0xclean']);
+  assert.equal(excluded.length, 1);
+  assert.deepEqual(excluded[0].wallets, ['0xlead', '0xwash']);
+  assert.ok(excluded[0].flags.some(f => f.type === 'wash-trading' && f.wallet === '0xwash'));
+});
+
+test('excludeFlaggedWallets keeps a cluster whose members are all clean', async t => {
+  inTempDir(t);
+  
+  const { kept, excluded } = await excludeFlaggedWallets([
+    { wallet: '0xlead', userName: 'Cluster', clusterId: 'c1', wallets: ['0xlead', '0xother'] }
+  ], { fetchWallet });
+  
+  assert.equal(kept.length, 1);
+  assert.deepEqual(excluded, []);
+});
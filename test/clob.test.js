@@ -0,0 +1,82 @@
+/**
+ * CLOB client against recorded responses in test/fixtures/cassettes
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+
+// Read by api.js at import time
+process.env.POLYMARKET_API_MODE = 'replay';
+process.env.POLYMARKET_CASSETTE_DIR = fileURLToPath(new URL('./fixtures/cassettes', import.meta.url));
+
+const { fetchMidpoint, fetchOrderBook, estimateSlippage, getPriceContext } = await import('../src/clob.js');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('fetchMidpoint parses the string price', async () => {
+  assert.equal(await fetchMidpoint('1001'), 0.555);
+});
+
+test('fetchMidpoint rejects tokens with no recorded response', async () => {
+  await assert.rejects(fetchMidpoint('9999'), /no cassette/);
+});
+
+test('fetchOrderBook sorts both sides best-first and drops bad levels', async () => {
+  const book = await fetchOrderBook('1001');
+  
+  assert.deepEqual(book.bids.map(l => l.price), [0.54, 0.52, 0.5]);
+  assert.deepEqual(book.asks.map(l => l.price), [0.56, 0.58, 0.6]);
+  assert.equal(book.bestBid, 0.54);
+  assert.equal(book.bestAsk, 0.56);
+  close(book.mid, 0.55);
+  close(book.spread, 0.02);
+  close(book.bidDepth, 0.54 * 200 + 0.52 * 100 + 0.5 * 1000);
+  close(book.askDepth, 0.56 * 100 + 0.58 * 300 + 0.6 * 500);
+});
+
+test('fetchOrderBook leaves mid and spread empty for a one-sided book', async () => {
+  const book = await fetchOrderBook('1002');
+  
+  assert.equal(book.bestBid, 0.3);
+  assert.equal(book.bestAsk, null);
+  assert.equal(book.mid, null);
+  assert.equal(book.spread, null);
+});
+
+test('estimateSlippage walks the asks for a buy', async () => {
+  const book = await fetchOrderBook('1001');
+  
+  // $56 fills the 56¢ level, the other $44 comes from 58¢
+  const fill = estimateSlippage(book, 100, 'BUY');
+  const shares = 100 + 44 / 0.58;
+  close(fill.avgPrice, 100 / shares);
+  close(fill.slippage, (100 / shares - 0.56) / 0.56);
+  close(fill.filledUsd, 100);
+  close(fill.unfilledUsd, 0);
+  
+  // Within the best level there's no slippage
+  assert.equal(estimateSlippage(book, 50, 'BUY').slippage, 0);
+});
+
+test('estimateSlippage walks the bids for a sell and reports what the book cannot fill', async () => {
+  const book = await fetchOrderBook('1001');
+  
+  const fill = estimateSlippage(book, 1000, 'SELL');
+  close(fill.filledUsd, book.bidDepth);
+  close(fill.unfilledUsd, 1000 - book.bidDepth);
+  assert.ok(fill.avgPrice < 0.54 && fill.avgPrice > 0.5);
+  
+  const empty = estimateSlippage({ bids: [], asks: [] }, 100, 'BUY');
+  assert.equal(empty.avgPrice, null);
+  assert.equal(empty.slippage, null);
+  assert.equal(empty.unfilledUsd, 100);
+});
+
+test('getPriceContext falls back to the midpoint endpoint when the book is one-sided', async () => {
+  const ctx = await getPriceContext('1002', { entryPrice: 0.25 });
+  
+  assert.equal(ctx.currentPrice, 0.31);
+  close(ctx.moveSinceEntry, 0.06);
+  assert.equal(ctx.copyFill, null);
+});
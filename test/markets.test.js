@@ -0,0 +1,121 @@
+/**
+ * Gamma market normalization and the market catalog, against
+ * test/fixtures/gamma-markets.json and its recorded response
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeMarket } from '../src/models.js';
+
+// Read by api.js at import time
+process.env.POLYMARKET_API_MODE = 'replay';
+process.env.POLYMARKET_CASSETTE_DIR = fileURLToPath(new URL('./fixtures/cassettes', import.meta.url));
+
+const { fetchMarkets, getMarkets, marketContext } = await import('../src/markets.js');
+
+const raw = JSON.parse(readFileSync(new URL('./fixtures/gamma-markets.json', import.meta.url), 'utf-8'));
+const rawMarket = id => raw.find(m => m.conditionId === id);
+const CONDITION_IDS = ['0xfixture01', '0xfixture03', '0xfixture04', '0xfixture05', '0xfixture06', '0xunknown'];
+
+test('normalizeMarket parses the JSON-encoded outcome strings', () => {
+  const { value, errors } = normalizeMarket(rawMarket('0xfixture01'));
+  
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value.outcomes, ['Yes', 'No']);
+  assert.deepEqual(value.outcomePrices, [0.555, 0.445]);
+  assert.deepEqual(value.tokenIds, ['1001', '1002']);
+  assert.equal(value.eventSlug, 'fixture-bill');
+  assert.equal(value.category, 'Politics');
+  assert.deepEqual(value.tags, ['Politics', 'Congress']);
+  assert.equal(value.endDate, Date.parse('2026-11-30T12:00:00Z'));
+  assert.equal(value.liquidity, 15234.5);
+});
+
+test('normalizeMarket leaves open markets unresolved', () => {
+  const { value } = normalizeMarket(rawMarket('0xfixture01'));
+  
+  assert.equal(value.closed, false);
+  assert.equal(value.resolutionStatus, 'open');
+  assert.equal(value.winningOutcome, null);
+});
+
+test('normalizeMarket takes the winner from the settled price of a closed market', () => {
+  const binary = normalizeMarket(rawMarket('0xfixture03')).value;
+  assert.equal(binary.winningOutcome, 'No');
+  assert.equal(binary.resolutionStatus, 'resolved');
+  
+  const multi = normalizeMarket(rawMarket('0xfixture06')).value;
+  assert.equal(multi.winningOutcome, 'Bob');
+  assert.equal(multi.resolutionStatus, 'resolved');
+  assert.equal(multi.category, 'Elections');
+});
+
+test('normalizeMarket has no winner for a closed market without a settled price', () => {
+  const { value } = normalizeMarket(rawMarket('0xfixture04'));
+  
+  assert.equal(value.closed, true);
+  assert.equal(value.resolutionStatus, 'closed');
+  assert.equal(value.winningOutcome, null);
+  assert.equal(value.category, 'Science');
+  assert.equal(value.volume, 8100);
+});
+
+test('normalizeMarket tolerates malformed outcome strings', () => {
+  const { value, errors } = normalizeMarket(rawMarket('0xfixture05'));
+  
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value.outcomes, []);
+  assert.deepEqual(value.outcomePrices, []);
+  assert.deepEqual(value.tokenIds, []);
+  assert.equal(value.winningOutcome, null);
+});
+
+test('normalizeMarket rejects markets without a conditionId', () => {
+  const { value, errors } = normalizeMarket({ ...rawMarket('0xfixture01'), conditionId: undefined });
+  
+  assert.equal(value, null);
+  assert.deepEqual(errors, ['missing or invalid conditionId']);
+});
+
+test('fetchMarkets requests the condition_ids and normalizes the response', async () => {
+  const markets = await fetchMarkets({ conditionIds: CONDITION_IDS });
+  
+  assert.deepEqual(markets.map(m => m.conditionId), CONDITION_IDS.slice(0, 5));
+  assert.equal(markets.find(m => m.conditionId === '0xfixture03').winningOutcome, 'No');
+});
+
+test('getMarkets catalogs markets and serves resolved ones without refetching', async t => {
+  const cwd = process.cwd();
+  const dir = mkdtempSync(join(tmpdir(), 'markets-test-'));
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    rmSync(dir, { recursive: true, force: true });
+  });
+  
+  const markets = await getMarkets(CONDITION_IDS);
+  assert.deepEqual(Object.keys(markets), CONDITION_IDS.slice(0, 5));
+  assert.ok(existsSync(join(dir, 'data/markets.json')));
+  assert.deepEqual(marketContext(markets['0xfixture06']), {
+    category: 'Elections',
+    endDate: '2026-10-05T00:00:00.000Z',
+    resolutionStatus: 'resolved',
+    winningOutcome: 'Bob',
+    liquidity: 0,
+    volume: 0
+  });
+  
+  // No cassette for these requests - a refetch would log a lookup failure
+  const lookupErrors = t.mock.method(console, 'error', () => {});
+  const cached = await getMarkets(['0xfixture03', '0xfixture01']);
+  assert.equal(cached['0xfixture03'].winningOutcome, 'No');
+  assert.equal(cached['0xfixture01'].resolutionStatus, 'open');
+  assert.equal(lookupErrors.mock.callCount(), 0);
+  
+  await getMarkets(['0xfixture03'], { refresh: true });
+  assert.equal(lookupErrors.mock.callCount(), 1);
+});
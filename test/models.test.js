@@ -0,0 +1,27 @@
+/**
+ * Open position normalization - the USD size
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePosition } from '../src/models.js';
+
+const raw = { conditionId: '0xfixture01', outcome: 'Yes', size: '200', curPrice: '0.55' };
+
+test('normalizePosition takes usdSize from the current value', () => {
+  assert.equal(normalizePosition({ ...raw, currentValue: '111' }).value.usdSize, 111);
+});
+
+test('normalizePosition prices the shares when the current value is missing', () => {
+  const { value } = normalizePosition(raw);
+  assert.equal(value.shares, 200);
+  assert.ok(Math.abs(value.usdSize - 110) < 1e-9);
+});
+
+test('normalizePosition leaves usdSize null rather than a share count', () => {
+  const { value, errors } = normalizePosition({ ...raw, curPrice: undefined });
+  assert.deepEqual(errors, []);
+  assert.equal(value.usdSize, null);
+  
+  assert.deepEqual(normalizePosition({ ...raw, size: undefined }).errors, ['missing or invalid shares']);
+});
@@ -0,0 +1,52 @@
+/**
+ * Position events from snapshot diffs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { snapshotPositions, diffPositions, nextSnapshot } from '../src/position-events.js';
+
+function position(asset, shares, curPrice = 0.5) {
+  return { conditionId: `0xcondition${asset}`, asset, title: `Market ${asset}`, outcome: 'Yes', shares, avgPrice: 0.5, curPrice, usdSize: shares * curPrice };
+}
+
+const NOW = Date.UTC(2026, 8, 1);
+
+test('diffPositions emits no CLOSE for a capped fetch, and the snapshot keeps what it missed', () => {
+  const previous = snapshotPositions([position('1', 100), position('2', 100)]);
+  const current = snapshotPositions([position('1', 150)]);
+  
+  const events = diffPositions(previous, current, { complete: false, now: NOW });
+  assert.deepEqual(events.map(e => e.type), ['ADD']);
+  
+  const kept = nextSnapshot(previous, current, false);
+  assert.deepEqual(Object.keys(kept), ['1', '2']);
+  assert.equal(kept['1'].shares, 150);
+  assert.equal(kept['2'].shares, 100);
+  
+  // A complete fetch closes what's gone and drops it from the snapshot
+  assert.deepEqual(diffPositions(previous, current, { now: NOW }).map(e => e.type), ['ADD', 'CLOSE']);
+  assert.deepEqual(Object.keys(nextSnapshot(previous, current, true)), ['1']);
+});
+
+test('diffPositions trims while shares remain and closes when the position is gone', () => {
+  const previous = snapshotPositions([position('1', 100)]);
+  
+  const [trim] = diffPositions(previous, snapshotPositions([position('1', 40, 0.6)]), { now: NOW });
+  assert.equal(trim.type, 'TRIM');
+  assert.equal(trim.sharesDelta, -60);
+  assert.ok(Math.abs(trim.usdDelta + 36) < 1e-9);
+  
+  // Dust left behind still counts as a trim; zero shares is no position at all
+  assert.equal(diffPositions(previous, snapshotPositions([position('1', 1)]), { now: NOW })[0].type, 'TRIM');
+  const [close] = diffPositions(previous, snapshotPositions([position('1', 0)]), { now: NOW });
+  assert.equal(close.type, 'CLOSE');
+  assert.equal(close.sharesAfter, 0);
+  assert.equal(close.price, 0.5);
+});
+
+test('diffPositions ignores share changes under 1% of the position', () => {
+  const previous = snapshotPositions([position('1', 1000)]);
+  assert.deepEqual(diffPositions(previous, snapshotPositions([position('1', 995)]), { now: NOW }), []);
+  assert.equal(diffPositions(previous, snapshotPositions([position('1', 980)]), { now: NOW })[0].type, 'TRIM');
+});
@@ -0,0 +1,54 @@
+/**
+ * Batching and query checks shared by the api/ edge functions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapInBatches, parseQuery } from '../src/serverless.js';
+
+test('mapInBatches keeps input order and counts failures instead of throwing', async () => {
+  const { results, failed } = await mapInBatches([1, 2, 3, 4, 5, 6, 7], async n => {
+    if (n % 3 === 0) throw new Error(`trader ${n} failed`);
+    return n * 10;
+  });
+  
+  assert.deepEqual(results, [10, 20, 40, 50, 70]);
+  assert.equal(failed, 2);
+});
+
+test('mapInBatches runs at most `concurrency` items at once', async () => {
+  let running = 0;
+  let peak = 0;
+  await mapInBatches(Array.from({ length: 7 }, (_, i) => i), async () => {
+    peak = Math.max(peak, ++running);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    running--;
+  }, 3);
+  
+  assert.equal(peak, 3);
+});
+
+test('parseQuery resolves the profile and sampling mode, with defaults', () => {
+  const { profile, mode, error } = parseQuery(new Request('https://x.test/api/edge-traders?profile=classic&sample=spread'));
+  assert.equal(error, undefined);
+  assert.equal(profile.name, 'classic');
+  assert.equal(mode, 'spread');
+  
+  const defaults = parseQuery(new Request('https://x.test/api/edge-traders'));
+  assert.equal(defaults.profile.name, 'default');
+  assert.equal(defaults.mode, 'recent');
+});
+
+test('parseQuery answers an unknown profile or mode with a 400 listing the options', async () => {
+  const { error } = parseQuery(new Request('https://x.test/api/edge-traders?profile=nope'));
+  assert.equal(error.status, 400);
+  const body = await error.json();
+  assert.match(body.error, /Unknown scoring profile "nope"/);
+  assert.ok(body.profiles.includes('classic'));
+  assert.deepEqual(body.sampleModes, ['recent', 'spread']);
+  
+  // Handlers without a profile ignore it, and don't list profiles
+  const sample = parseQuery(new Request('https://x.test/api/top-detailed?profile=nope&sample=all'), { profile: false });
+  assert.equal(sample.error.status, 400);
+  assert.equal((await sample.error.json()).profiles, undefined);
+});
@@ -0,0 +1,80 @@
+/**
+ * Signal rules - the stale-price guard's settings, redemptions and duplicates
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SIGNAL_RULES, resolveMaxPriceDrift, guardStalePrice, buildSignals } from '../src/signals.js';
+
+test('resolveMaxPriceDrift prefers the flag, then the env value, then the default', () => {
+  assert.equal(resolveMaxPriceDrift([], undefined), DEFAULT_SIGNAL_RULES.maxPriceDrift);
+  assert.equal(resolveMaxPriceDrift([], ''), DEFAULT_SIGNAL_RULES.maxPriceDrift);
+  assert.equal(resolveMaxPriceDrift([], '0.2'), 0.2);
+  assert.equal(resolveMaxPriceDrift(['--max-price-drift=0.3'], '0.2'), 0.3);
+});
+
+test('resolveMaxPriceDrift accepts 0, which drops any adverse move', () => {
+  const maxPriceDrift = resolveMaxPriceDrift([], '0');
+  assert.equal(maxPriceDrift, 0);
+  
+  const signal = { side: 'BUY', avgPrice: 0.5, confidence: 0.9 };
+  const rules = { ...DEFAULT_SIGNAL_RULES, maxPriceDrift };
+  assert.equal(guardStalePrice(signal, 0.51, rules).stale, 'dropped');
+  assert.equal(guardStalePrice(signal, 0.5, rules).stale, null);
+});
+
+test('resolveMaxPriceDrift rejects garbage, negative and out-of-range values', () => {
+  for (const raw of ['abc', '0.1x', '-0.1', '1.5', 'Infinity']) {
+    assert.throws(() => resolveMaxPriceDrift([], raw), /Invalid max price drift/, raw);
+  }
+});
+
+test('resolveMaxPriceDrift rejects values under the downgrade threshold', () => {
+  assert.throws(() => resolveMaxPriceDrift([], '0.02'), /downgrade threshold/);
+  assert.equal(resolveMaxPriceDrift([], String(DEFAULT_SIGNAL_RULES.downgradePriceDrift)), DEFAULT_SIGNAL_RULES.downgradePriceDrift);
+});
+
+function move(type, price, usdDelta, traderWallet = '0xA') {
+  return {
+    type,
+    conditionId: '0xfixture01',
+    asset: '1001',
+    title: 'Fixture bill',
+    outcome: 'Yes',
+    traderName: traderWallet,
+    traderWallet,
+    price,
+    usdDelta,
+    sharesDelta: usdDelta / price
+  };
+}
+
+const traders = new Map([['0xA', { edgeScore: 150 }], ['0xB', { edgeScore: 150 }]]);
+const NOW = Date.UTC(2026, 8, 1);
+
+test('buildSignals makes no SELL for a redemption', () => {
+  // Settled price, even with the market not known to be resolved
+  assert.deepEqual(buildSignals([move('CLOSE', 1, -60000)], { traders, now: NOW }), []);
+  assert.deepEqual(buildSignals([move('CLOSE', 0, -60000)], { traders, now: NOW }), []);
+  
+  // A resolved market, at the last price seen before it settled
+  const markets = { '0xfixture01': { conditionId: '0xfixture01', closed: true, resolutionStatus: 'resolved' } };
+  assert.deepEqual(buildSignals([move('CLOSE', 0.97, -60000)], { traders, markets, now: NOW }), []);
+  
+  // A sale in an open market still signals
+  const [signal] = buildSignals([move('CLOSE', 0.6, -60000)], { traders, now: NOW });
+  assert.equal(signal.side, 'SELL');
+});
+
+test('buildSignals skips a market, outcome and side already signaled within the duplicate window', () => {
+  const [first] = buildSignals([move('OPEN', 0.5, 60000)], { traders, now: NOW });
+  assert.equal(first.side, 'BUY');
+  
+  const later = NOW + DEFAULT_SIGNAL_RULES.duplicateWindow / 2;
+  assert.deepEqual(buildSignals([move('ADD', 0.5, 60000, '0xB')], { traders, recentSignals: [first], now: later }), []);
+  
+  // The other side, or the same one after the window, signals again
+  assert.equal(buildSignals([move('TRIM', 0.5, -60000)], { traders, recentSignals: [first], now: later }).length, 1);
+  const afterWindow = NOW + DEFAULT_SIGNAL_RULES.duplicateWindow;
+  assert.equal(buildSignals([move('ADD', 0.5, 60000, '0xB')], { traders, recentSignals: [first], now: afterWindow }).length, 1);
+});
@@ -0,0 +1,67 @@
+/**
+ * Fractional-Kelly stakes and their caps
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_STAKE_RULES, kellyFraction, recommendStake, addExposure } from '../src/sizing.js';
+
+const signal = {
+  side: 'BUY',
+  conditionId: '0xfixture01',
+  eventSlug: 'fixture-bill',
+  confidence: 0.8,
+  traders: [{ wallet: '0xA', weight: 1 }]
+};
+
+// Wins 20 points more than priced over 150 trades: shrunk to a 15-point edge
+const calibrations = new Map([['0xa', { trades: 150, excessWinRate: 20 }]]);
+
+const emptyExposure = () => ({ markets: new Map(), events: new Map() });
+
+test('kellyFraction is 0 without an edge', () => {
+  assert.equal(kellyFraction(0.5, 0.5), 0);
+  assert.equal(kellyFraction(0.4, 0.5), 0);
+  assert.equal(kellyFraction(0.7, 1), 0);
+  assert.ok(Math.abs(kellyFraction(0.62, 0.5) - 0.24) < 1e-9);
+});
+
+test('recommendStake bets nothing when the Kelly fraction is not positive', () => {
+  const losing = new Map([['0xa', { trades: 150, excessWinRate: -10 }]]);
+  const stake = recommendStake(signal, { price: 0.5, calibrations: losing, exposure: emptyExposure() });
+  assert.equal(stake.usd, 0);
+  assert.equal(stake.kelly, 0);
+  assert.equal(stake.reason, 'no calibration edge');
+  
+  assert.equal(recommendStake(signal, { price: 0.5, exposure: emptyExposure() }).usd, 0);
+  assert.equal(recommendStake({ ...signal, side: 'SELL' }, { price: 0.5, calibrations }).reason, 'exit signal');
+});
+
+test('recommendStake caps the Kelly stake at the bankroll share per market', () => {
+  // p = 0.5 + 0.8 x 0.15 = 0.62; Kelly 0.24 x 0.25 of $10k is $600, over the 5% market cap
+  const stake = recommendStake(signal, { price: 0.5, calibrations, exposure: emptyExposure() });
+  assert.equal(stake.estimatedProbability, 0.62);
+  assert.equal(stake.usd, DEFAULT_STAKE_RULES.bankroll * DEFAULT_STAKE_RULES.maxMarketShare);
+  assert.equal(stake.cappedBy, 'market');
+  
+  // With room under the cap the full fractional-Kelly stake goes on, and it scales with the bankroll
+  const rules = { ...DEFAULT_STAKE_RULES, maxMarketShare: 0.1 };
+  const uncapped = recommendStake(signal, { price: 0.5, calibrations, exposure: emptyExposure(), rules });
+  assert.equal(uncapped.usd, 600);
+  assert.equal(uncapped.cappedBy, null);
+  assert.equal(recommendStake(signal, { price: 0.5, calibrations, exposure: emptyExposure(), rules: { ...rules, bankroll: 20000 } }).usd, 1200);
+});
+
+test('recommendStake counts earlier stakes toward the market and event caps', () => {
+  const exposure = emptyExposure();
+  addExposure(exposure, signal, 495);
+  const full = recommendStake(signal, { price: 0.5, calibrations, exposure });
+  assert.equal(full.usd, 0);
+  assert.equal(full.reason, 'market cap reached');
+  
+  // Another market in the same event only gets what the event cap leaves
+  addExposure(exposure, { ...signal, conditionId: '0xfixture02' }, 400);
+  const sibling = recommendStake({ ...signal, conditionId: '0xfixture03' }, { price: 0.5, calibrations, exposure });
+  assert.equal(sibling.usd, 105);
+  assert.equal(sibling.cappedBy, 'event');
+});